@@ -0,0 +1,178 @@
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+
+/**
+ * API keys and daily quotas for the HTTP server. Keys come from a JSON file
+ * (HPR_API_KEYS_FILE) and/or HPR_API_KEYS, and each has its own per-minute rate
+ * limit and optional daily quota. Requests without a key use the anonymous
+ * tier, limited per IP address, unless anonymous access is turned off.
+ *
+ * Key file format:
+ *   {
+ *     "anonymous": { "rateLimit": 30, "dailyQuota": 500 },   (or false to require a key)
+ *     "keys": [
+ *       { "name": "alice", "key": "...", "rateLimit": 300, "dailyQuota": 10000 },
+ *       { "name": "ops", "sha256": "<hex digest of the key>", "admin": true }
+ *     ]
+ *   }
+ */
+
+const DEFAULT_KEY_RATE_LIMIT = 600; // requests per minute
+
+const digest = (value) => createHash('sha256').update(value).digest('hex');
+
+// Helper to check an optional limit from the key file or environment
+function limitValue(value, what) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${what} must be a positive integer, got ${JSON.stringify(value)}`);
+  }
+  return number;
+}
+
+export class ApiKeyStore {
+  /**
+   * `keys` are { name, key or sha256, admin, rateLimit, dailyQuota }; `anonymous`
+   * is { rateLimit, dailyQuota }, or false to require a key.
+   */
+  constructor({ keys = [], anonymous = {}, defaultRateLimit = DEFAULT_KEY_RATE_LIMIT } = {}) {
+    this.defaultRateLimit = defaultRateLimit;
+    this.keys = new Map(); // sha256 of the key -> key record
+    for (const entry of keys) {
+      this.add(entry, defaultRateLimit);
+    }
+
+    this.anonymous = anonymous === false ? null : {
+      name: 'anonymous',
+      anonymous: true,
+      admin: false,
+      rateLimit: limitValue(anonymous.rateLimit, 'anonymous.rateLimit') ?? defaultRateLimit,
+      dailyQuota: limitValue(anonymous.dailyQuota, 'anonymous.dailyQuota'),
+    };
+  }
+
+  add({ name, key, sha256, admin = false, rateLimit, dailyQuota }, defaultRateLimit = DEFAULT_KEY_RATE_LIMIT) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Every API key needs a name');
+    }
+    if (!key === !sha256) {
+      throw new Error(`API key ${name} needs either "key" or "sha256"`);
+    }
+    if ([...this.keys.values()].some(record => record.name === name)) {
+      throw new Error(`Duplicate API key name ${name}`);
+    }
+
+    const hash = sha256 ? sha256.toLowerCase() : digest(key);
+    if (this.keys.has(hash)) {
+      throw new Error(`API key ${name} is the same key as ${this.keys.get(hash).name}`);
+    }
+    this.keys.set(hash, {
+      name,
+      anonymous: false,
+      admin: admin === true,
+      rateLimit: limitValue(rateLimit, `${name}.rateLimit`) ?? defaultRateLimit,
+      dailyQuota: limitValue(dailyQuota, `${name}.dailyQuota`),
+    });
+  }
+
+  /**
+   * Key record for a presented key, or null if it is not a valid key
+   */
+  authenticate(key) {
+    return this.keys.get(digest(key)) || null;
+  }
+
+  get size() {
+    return this.keys.size;
+  }
+
+  get hasAdminKeys() {
+    return [...this.keys.values()].some(record => record.admin);
+  }
+
+  /**
+   * Store configured from the environment:
+   *   HPR_API_KEYS_FILE           JSON key file (see above)
+   *   HPR_API_KEYS                name:key pairs, comma-separated
+   *   HPR_ANONYMOUS_ACCESS        false to require a key, true to allow none (default: `anonymousAccess`)
+   *   HPR_ANONYMOUS_DAILY_QUOTA   requests per IP per day without a key
+   * `adminToken` (HPR_ADMIN_TOKEN) is added as an admin key named "admin".
+   */
+  static fromEnvironment(env = process.env, { adminToken = null, anonymousRateLimit, anonymousAccess = true } = {}) {
+    let config = {};
+    if (env.HPR_API_KEYS_FILE) {
+      try {
+        config = JSON.parse(readFileSync(env.HPR_API_KEYS_FILE, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to read API keys from ${env.HPR_API_KEYS_FILE}: ${error.message}`);
+      }
+    }
+
+    const keys = [...(config.keys || [])];
+    for (const pair of (env.HPR_API_KEYS || '').split(',').map(value => value.trim()).filter(Boolean)) {
+      const separator = pair.indexOf(':');
+      if (separator < 1) {
+        throw new Error('HPR_API_KEYS must be comma-separated name:key pairs');
+      }
+      keys.push({ name: pair.slice(0, separator), key: pair.slice(separator + 1) });
+    }
+    if (adminToken) {
+      keys.push({ name: 'admin', key: adminToken, admin: true });
+    }
+
+    let anonymous = config.anonymous ?? (anonymousAccess ? {} : false);
+    if (env.HPR_ANONYMOUS_ACCESS === 'false') {
+      anonymous = false;
+    } else if (env.HPR_ANONYMOUS_ACCESS === 'true') {
+      anonymous ||= {};
+    }
+    if (anonymous !== false) {
+      anonymous = {
+        rateLimit: anonymous.rateLimit ?? anonymousRateLimit,
+        dailyQuota: env.HPR_ANONYMOUS_DAILY_QUOTA || anonymous.dailyQuota,
+      };
+    }
+
+    return new ApiKeyStore({ keys, anonymous });
+  }
+}
+
+/**
+ * Requests counted per caller per UTC day. Counts are kept in memory, so they
+ * start again when the server restarts.
+ */
+export class DailyQuota {
+  constructor({ now = () => new Date() } = {}) {
+    this.now = now;
+    this.day = null;
+    this.counts = new Map(); // caller -> requests today
+  }
+
+  /**
+   * Count a request by `caller` against `limit`. Returns whether it is allowed,
+   * the requests remaining today and when the quota resets (ISO timestamp).
+   */
+  consume(caller, limit) {
+    const now = this.now();
+    const day = now.toISOString().slice(0, 10);
+    if (day !== this.day) {
+      this.day = day;
+      this.counts.clear();
+    }
+
+    const used = this.counts.get(caller) || 0;
+    const allowed = used < limit;
+    if (allowed) {
+      this.counts.set(caller, used + 1);
+    }
+
+    const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - used - (allowed ? 1 : 0)),
+      resetsAt: resetsAt.toISOString(),
+    };
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Argument completion (completion/complete), shared by both servers (index.js
+ * and server-http.js)
+ */
+
+// Values that complete each argument (see HPRDataLoader.completeArgument), by
+// prompt name or resource template. MCP has no reference type for tools, so tool
+// arguments are completed by tool name in a prompt reference.
+const ARGUMENT_COMPLETIONS = {
+  'summarize_episode': { episodeId: 'episodeId' },
+  'research_topic': { topic: 'tag' },
+  'introduce_host': { host: 'hostName' },
+  'series_walkthrough': { seriesId: 'seriesId' },
+  'hpr://episode/{id}': { id: 'episodeId' },
+  'hpr://episode/{id}/transcript': { id: 'episodeId' },
+  'hpr://episode/{id}/comments': { id: 'episodeId' },
+  'hpr://host/{id}': { id: 'hostId' },
+  'hpr://series/{id}': { id: 'seriesId' },
+  'hpr://tag/{name}': { name: 'tag' },
+  'search_episodes': { tag: 'tag', hostId: 'hostId', seriesId: 'seriesId' },
+  'get_episode': { episodeId: 'episodeId' },
+  'search_transcripts': { hostId: 'hostId', hostName: 'hostName' },
+  'get_host_info': { hostId: 'hostId', hostName: 'hostName' },
+  'get_series_info': { seriesId: 'seriesId' },
+};
+
+/**
+ * Complete a prompt, resource template or tool argument. Arguments with no
+ * completions get an empty list.
+ */
+export async function complete(dataLoader, ref, argument) {
+  const kind = ARGUMENT_COMPLETIONS[ref.type === 'ref/prompt' ? ref.name : ref.uri]?.[argument.name];
+  if (!kind) {
+    return { completion: { values: [], total: 0, hasMore: false } };
+  }
+
+  const { values, total } = dataLoader.completeArgument(kind, argument.value);
+  return {
+    completion: {
+      values,
+      total,
+      hasMore: total > values.length,
+    },
+  };
+}
@@ -1,6 +1,13 @@
-import { readFileSync, readdirSync } from 'fs';
+import { EventEmitter } from 'events';
+import { watch, readFileSync, writeFileSync, renameSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { EpisodeSearchIndex, TranscriptSearchIndex, EPISODE_FIELDS, stripTags } from './search-index.js';
+import { tokenize, tokenOffsets, stem, SynonymTable } from './text-analysis.js';
+import { parseQuery, hasQuerySyntax, evaluateQuery, positiveTerms, QueryParseError } from './query-parser.js';
+import { MemoryTranscriptStore, LazyTranscriptStore, TRANSCRIPT_STORAGE_MODES } from './transcript-store.js';
+import { validateKnowledgeBase, formatFinding, isRecord } from './validation.js';
+import { createStorage } from './storage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -48,101 +55,455 @@ function levenshteinDistance(a, b) {
   return matrix[b.length][a.length];
 }
 
-class HPRDataLoader {
-  constructor() {
+/**
+ * Typos tolerated in a word when fuzzy matching: none for very short words,
+ * more for longer ones, capped at maxDistance
+ */
+function fuzzyTolerance(word, maxDistance) {
+  return Math.min(maxDistance, Math.floor(word.length / 3));
+}
+
+const QUERY_OPERATOR_WORDS = new Set(['AND', 'OR', 'NOT', 'NEAR']);
+
+/**
+ * Normalised tags of an episode ("Linux, Raspberry Pi" -> ["linux", "raspberry pi"])
+ */
+function splitTags(tags) {
+  return [...new Set((tags || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Group items into a Map of key to the items sharing it
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    const group = groups.get(key);
+    if (group) {
+      group.push(item);
+    } else {
+      groups.set(key, [item]);
+    }
+  }
+  return groups;
+}
+
+// Loaded data that reload() swaps in as a whole
+const RELOADABLE_FIELDS = [
+  'episodes', 'hosts', 'comments', 'series', 'transcripts',
+  'episodesById', 'hostsById', 'seriesById',
+  'commentsByEpisode', 'episodesByHost', 'episodesBySeries', 'episodesByTag',
+  'episodeIndex', 'transcriptIndex', 'synonyms', 'fuzzyWords', 'loadErrors', 'skippedRecords', 'validation', 'storage',
+  'transcriptManifest', 'transcriptChanges',
+];
+
+class HPRDataLoader extends EventEmitter {
+  /**
+   * `storage` is 'json' (hpr_metadata/ and hpr_transcripts/ in `root`, by default
+   * next to this file) or 'sqlite' (the database at `sqlitePath`, see storage.js).
+   * `transcriptStorage` is 'memory' (every transcript held in memory) or 'lazy'
+   * (transcripts read on demand through an LRU cache of `transcriptCacheMB`).
+   * With `strict`, load() fails if the data has validation errors.
+   * `transcriptManifest` is the file where load() records the transcripts it
+   * loaded, to report new ones on the next run ('' to disable).
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+
+    const {
+      storage = process.env.HPR_STORAGE || 'json',
+      sqlitePath = process.env.HPR_SQLITE_PATH,
+      root,
+      transcriptStorage = process.env.HPR_TRANSCRIPT_STORAGE || 'memory',
+      transcriptCacheMB = Number(process.env.HPR_TRANSCRIPT_CACHE_MB) || 32,
+      strict = process.env.HPR_STRICT === 'true',
+      transcriptManifest = process.env.HPR_TRANSCRIPT_MANIFEST ?? join(__dirname, '.transcript-manifest.json'),
+    } = options;
+
+    if (!TRANSCRIPT_STORAGE_MODES.includes(transcriptStorage)) {
+      throw new Error(`Unknown transcript storage "${transcriptStorage}" (expected ${TRANSCRIPT_STORAGE_MODES.join(' or ')})`);
+    }
+
+    // Backend the records and transcripts are read from
+    this.storage = createStorage({ storage, sqlitePath, root });
+
     this.episodes = [];
     this.hosts = [];
     this.comments = [];
     this.series = [];
-    this.transcripts = new Map(); // Map of episode id to transcript text
+    // Id lookups and relations, built by buildRelations()
+    this.episodesById = new Map();
+    this.hostsById = new Map();
+    this.seriesById = new Map();
+    this.commentsByEpisode = new Map(); // episode id -> comments
+    this.episodesByHost = new Map(); // host id -> episodes
+    this.episodesBySeries = new Map(); // series id -> episodes
+    this.episodesByTag = new Map(); // normalised tag -> episodes
+    // Map-like store of episode id to transcript text
+    this.transcripts = transcriptStorage === 'lazy'
+      ? new LazyTranscriptStore({ cacheBytes: transcriptCacheMB * 1024 * 1024 })
+      : new MemoryTranscriptStore();
+    this.episodeIndex = new EpisodeSearchIndex();
+    this.transcriptIndex = new TranscriptSearchIndex();
+    this.synonyms = new SynonymTable();
+    this.fuzzyWords = new Map(); // title, tag and host-name word -> Set of episode ids
+    this.strict = strict;
+    this.manifestPath = transcriptManifest;
+    this.transcriptManifest = new Map(); // episode id -> { size, hash, ... } from the storage backend
+    this.transcriptChanges = null; // { loadedAt, since, added, changed, removed } compared with the last load
+    this.loadErrors = []; // { file, message } for each file (or table) that failed to load
+    this.skippedRecords = []; // { collection, index } of records left out because they are not objects
+    this.validation = null; // report from validation.js, set by load()
+    this.reloading = null; // reload() in progress
   }
 
   /**
-   * Load all data from JSON files and transcripts
+   * Load all data from the storage backend. With `previous` (the loader being
+   * reloaded), unchanged transcripts are copied from it rather than re-read and
+   * re-indexed, and the transcript manifest is left for reload() to save once
+   * the new data is swapped in.
    */
-  async load() {
-    console.error('Loading HPR data...');
+  async load({ previous = null } = {}) {
+    console.error(`Loading HPR data (${this.storage.name} storage)...`);
+
+    this.loadMetadata();
+
+    // Build ranked search index over episode metadata
+    this.episodeIndex = this.storage.buildEpisodeIndex(this.episodes);
+    console.error(`Indexed ${this.episodeIndex.termCount} episode search terms`);
+    this.buildFuzzyIndex();
+
+    // Load transcripts, noting which are new since the last load
+    const baseline = previous
+      ? { savedAt: previous.transcriptChanges?.loadedAt ?? null, transcripts: previous.transcriptManifest }
+      : this.readTranscriptManifest();
+    this.loadTranscripts({ previous });
+    this.transcriptChanges = this.compareTranscripts(baseline);
+
+    console.error(`Loaded ${this.transcripts.size} transcripts (${this.transcripts.stats().mode} storage)`);
+    if (this.transcriptChanges.since) {
+      console.error(`Transcripts since ${this.transcriptChanges.since}: ${this.transcriptChanges.added.length} new, ${this.transcriptChanges.changed.length} changed, ${this.transcriptChanges.removed.length} removed`);
+    }
+
+    this.validation = validateKnowledgeBase(this);
+    console.error(`Validation: ${this.validation.errors} errors, ${this.validation.warnings} warnings`);
+    if (this.strict && !this.validation.valid) {
+      const errors = this.validation.findings.filter(finding => finding.severity === 'error');
+      throw new Error(`HPR data failed validation with ${errors.length} errors:\n` +
+        errors.slice(0, 10).map(formatFinding).join('\n') +
+        (errors.length > 10 ? `\n... and ${errors.length - 10} more (run npm run validate)` : ''));
+    }
 
-    // Load JSON files
-    this.episodes = this.loadJSON('hpr_metadata/episodes.json');
-    this.hosts = this.loadJSON('hpr_metadata/hosts.json');
-    this.comments = this.loadJSON('hpr_metadata/comments.json');
-    this.series = this.loadJSON('hpr_metadata/series.json');
+    if (!previous) {
+      this.saveTranscriptManifest();
+    }
+    console.error('HPR data loading complete!');
+  }
+
+  /**
+   * The transcripts recorded by the last load, as { savedAt, transcripts }, or
+   * null if there is no manifest for this storage backend
+   */
+  readTranscriptManifest() {
+    if (!this.manifestPath) {
+      return null;
+    }
+    try {
+      const saved = JSON.parse(readFileSync(this.manifestPath, 'utf-8'));
+      if (saved.storage !== this.storage.name) {
+        return null;
+      }
+      return {
+        savedAt: saved.savedAt,
+        transcripts: new Map(Object.entries(saved.transcripts).map(([episodeId, entry]) => [Number(episodeId), entry])),
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Ignoring transcript manifest ${this.manifestPath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Record the loaded transcripts for the next load to compare against
+   */
+  saveTranscriptManifest() {
+    if (!this.manifestPath) {
+      return;
+    }
+    try {
+      const manifest = {
+        storage: this.storage.name,
+        savedAt: this.transcriptChanges.loadedAt,
+        transcripts: Object.fromEntries(this.transcriptManifest),
+      };
+      writeFileSync(`${this.manifestPath}.tmp`, JSON.stringify(manifest));
+      renameSync(`${this.manifestPath}.tmp`, this.manifestPath);
+    } catch (error) {
+      console.error(`Could not save transcript manifest ${this.manifestPath}:`, error.message);
+    }
+  }
+
+  /**
+   * Episode ids whose transcripts were added, changed or removed since a
+   * baseline manifest. `since` is null when there is no baseline to compare with.
+   */
+  compareTranscripts(baseline) {
+    const changes = { loadedAt: new Date().toISOString(), since: baseline?.savedAt ?? null, added: [], changed: [], removed: [] };
+    if (!baseline) {
+      return changes;
+    }
+
+    for (const [episodeId, entry] of this.transcriptManifest) {
+      const known = baseline.transcripts.get(episodeId);
+      if (!known) {
+        changes.added.push(episodeId);
+      } else if (entry.hash && known.hash && entry.hash !== known.hash) {
+        changes.changed.push(episodeId);
+      }
+    }
+    for (const episodeId of baseline.transcripts.keys()) {
+      if (!this.transcriptManifest.has(episodeId)) {
+        changes.removed.push(episodeId);
+      }
+    }
+
+    const byId = (a, b) => a - b;
+    changes.added.sort(byId);
+    changes.changed.sort(byId);
+    changes.removed.sort(byId);
+    return changes;
+  }
+
+  /**
+   * Load the episode, host, comment and series records and synonyms, and build
+   * the id lookups and relations
+   */
+  loadMetadata() {
+    this.skippedRecords = [];
+    this.episodes = this.loadRecords('episodes');
+    this.hosts = this.loadRecords('hosts');
+    this.comments = this.loadRecords('comments');
+    this.series = this.loadRecords('series');
 
     console.error(`Loaded ${this.episodes.length} episodes`);
     console.error(`Loaded ${this.hosts.length} hosts`);
     console.error(`Loaded ${this.comments.length} comments`);
     console.error(`Loaded ${this.series.length} series`);
 
-    // Load transcripts
-    this.loadTranscripts();
+    this.buildRelations();
 
-    console.error(`Loaded ${this.transcripts.size} transcripts`);
-    console.error('HPR data loading complete!');
+    // Synonym/acronym table used to expand search terms
+    const synonymsPath = process.env.HPR_SYNONYMS_FILE || join(__dirname, 'hpr_metadata/synonyms.json');
+    this.synonyms = SynonymTable.load(synonymsPath);
+    console.error(`Loaded ${this.synonyms.size} synonym entries`);
+  }
+
+  /**
+   * Load everything again in the background and swap it in only once it has fully
+   * loaded, so requests keep using the current data until then. If a file that
+   * loaded before now fails, the current data is kept and an error is thrown.
+   * Emits 'reload' with a summary after swapping.
+   */
+  async reload() {
+    if (this.reloading) {
+      return this.reloading;
+    }
+
+    this.reloading = (async () => {
+      const started = Date.now();
+      const fresh = new HPRDataLoader(this.options);
+      let swapped = false;
+      try {
+        await fresh.load({ previous: this });
+
+        const newErrors = fresh.loadErrors.filter(error =>
+          !this.loadErrors.some(existing => existing.file === error.file));
+        if (newErrors.length > 0) {
+          throw new Error(`Reload failed, keeping the current data (${newErrors.map(error => `${error.file}: ${error.message}`).join('; ')})`);
+        }
+
+        const previousStorage = this.storage;
+        for (const field of RELOADABLE_FIELDS) {
+          this[field] = fresh[field];
+        }
+        swapped = true;
+        previousStorage.close();
+      } finally {
+        // The new data's backend is only kept if it was swapped in
+        if (!swapped) {
+          fresh.storage.close();
+        }
+      }
+      this.saveTranscriptManifest();
+
+      const summary = {
+        episodes: this.episodes.length,
+        hosts: this.hosts.length,
+        comments: this.comments.length,
+        series: this.series.length,
+        transcripts: this.transcripts.size,
+        newTranscripts: this.transcriptChanges.added,
+        durationMs: Date.now() - started,
+      };
+      this.emit('reload', summary);
+      return summary;
+    })();
+
+    try {
+      return await this.reloading;
+    } finally {
+      this.reloading = null;
+    }
+  }
+
+  /**
+   * Reload whenever the stored data changes (files in hpr_metadata/ or
+   * hpr_transcripts/, or the SQLite database), once the changes have settled for
+   * `debounceMs`. Returns a function that stops watching.
+   */
+  watch({ debounceMs = 2000 } = {}) {
+    let timer = null;
+    const scheduleReload = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        this.reload().catch(error => console.error(error.message));
+      }, debounceMs);
+    };
+
+    const watchers = [];
+    for (const { directory, filename } of this.storage.watchPaths()) {
+      try {
+        const watcher = watch(directory, (eventType, changed) => {
+          if (!filename || changed === filename) scheduleReload();
+        });
+        watcher.unref();
+        watchers.push(watcher);
+      } catch (error) {
+        console.error(`Not watching ${directory} for changes:`, error.message);
+      }
+    }
+
+    return () => {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+    };
+  }
+
+  /**
+   * Build id lookups and relation indexes so per-result lookups take constant time
+   */
+  buildRelations() {
+    this.episodesById = new Map(this.episodes.map(ep => [ep.id, ep]));
+    this.hostsById = new Map(this.hosts.map(host => [host.hostid, host]));
+    this.seriesById = new Map(this.series.map(s => [s.id, s]));
+    this.commentsByEpisode = groupBy(this.comments, comment => comment.eps_id);
+    this.episodesByHost = groupBy(this.episodes, ep => ep.hostid);
+    this.episodesBySeries = groupBy(this.episodes, ep => ep.series);
+
+    this.episodesByTag = new Map();
+    for (const ep of this.episodes) {
+      for (const tag of splitTags(ep.tags)) {
+        const tagged = this.episodesByTag.get(tag);
+        if (tagged) {
+          tagged.push(ep);
+        } else {
+          this.episodesByTag.set(tag, [ep]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Index the words of each episode's title, tags and host name for fuzzy matching
+   */
+  buildFuzzyIndex() {
+    this.fuzzyWords = new Map();
+
+    for (const ep of this.episodes) {
+      for (const word of tokenize(`${ep.title} ${ep.tags} ${this.getHost(ep.hostid)?.host || ''}`)) {
+        let ids = this.fuzzyWords.get(word);
+        if (!ids) {
+          ids = new Set();
+          this.fuzzyWords.set(word, ids);
+        }
+        ids.add(ep.id);
+      }
+    }
   }
 
   /**
-   * Load a JSON file
+   * Load one collection of records from storage
    */
-  loadJSON(relativePath) {
-    const filePath = join(__dirname, relativePath);
+  loadRecords(collection) {
     try {
-      const data = readFileSync(filePath, 'utf-8');
-      return JSON.parse(data);
+      // Records that are not objects can't be served; validation reports them
+      const records = this.storage.loadRecords(collection);
+      records.forEach((record, index) => {
+        if (!isRecord(record)) this.skippedRecords.push({ collection, index });
+      });
+      return records.filter(isRecord);
     } catch (error) {
-      console.error(`Error loading ${relativePath}:`, error.message);
+      const source = this.storage.source(collection);
+      console.error(`Error loading ${source}:`, error.message);
+      this.loadErrors.push({ file: source, message: error.message });
       return [];
     }
   }
 
   /**
-   * Load all transcript files
+   * Load all transcripts (or just their locations, with lazy storage)
+   * and index them unless `buildIndex` is false. Transcripts unchanged since
+   * the `previous` loader's load are copied from it, index entries included.
    */
-  loadTranscripts() {
-    const transcriptsDir = join(__dirname, 'hpr_transcripts');
+  loadTranscripts({ buildIndex = true, previous = null } = {}) {
+    const onError = (source, error) => {
+      console.error(`Error loading transcript ${source}:`, error.message);
+      this.loadErrors.push({ file: source, message: error.message });
+    };
+    const { manifest, reused } = this.storage.loadTranscripts(this.transcripts, onError,
+      previous && { store: previous.transcripts, manifest: previous.transcriptManifest });
+    this.transcriptManifest = manifest;
+
+    if (!buildIndex) {
+      return;
+    }
+
+    // Positional index so searches become index lookups
     try {
-      const files = readdirSync(transcriptsDir);
-
-      for (const file of files) {
-        if (file.endsWith('.txt')) {
-          // Extract episode ID from filename (e.g., hpr0016.txt -> 16)
-          const match = file.match(/hpr(\d+)\.txt/);
-          if (match) {
-            const episodeId = parseInt(match[1], 10);
-            const filePath = join(transcriptsDir, file);
-            try {
-              const content = readFileSync(filePath, 'utf-8');
-              this.transcripts.set(episodeId, content);
-            } catch (error) {
-              console.error(`Error loading transcript ${file}:`, error.message);
-            }
-          }
-        }
-      }
+      this.transcriptIndex = this.storage.buildTranscriptIndex(this.transcripts,
+        previous && reused.size > 0 ? { previous: previous.transcriptIndex, reuse: reused } : {});
     } catch (error) {
-      console.error('Error loading transcripts directory:', error.message);
+      console.error('Error indexing transcripts:', error.message);
+      this.loadErrors.push({ file: this.storage.source('transcripts'), message: `indexing failed: ${error.message}` });
+      return;
     }
+    const reusedNote = reused.size > 0 ? `, ${reused.size} transcripts reused and ${this.transcripts.size - reused.size} read` : '';
+    console.error(`Indexed ${this.transcriptIndex.tokenCount} transcript words (${this.transcriptIndex.termIds.size} distinct${reusedNote})`);
   }
 
   /**
    * Get episode by ID
    */
   getEpisode(id) {
-    return this.episodes.find(ep => ep.id === id);
+    return this.episodesById.get(id);
   }
 
   /**
    * Get host by ID
    */
   getHost(id) {
-    return this.hosts.find(host => host.hostid === id);
+    return this.hostsById.get(id);
   }
 
   /**
    * Get series by ID
    */
   getSeries(id) {
-    return this.series.find(s => s.id === id);
+    return this.seriesById.get(id);
   }
 
   /**
@@ -152,30 +513,126 @@ class HPRDataLoader {
     return this.transcripts.get(episodeId);
   }
 
+  /**
+   * Get the header fields of an episode's transcript ({ episode, title, source,
+   * transcribed }), or null if it has no transcript or no header
+   */
+  getTranscriptHeader(episodeId) {
+    return this.transcripts.has(episodeId) ? this.transcripts.header(episodeId) : null;
+  }
+
   /**
    * Get comments for episode
    */
   getCommentsForEpisode(episodeId) {
-    return this.comments.filter(c => c.eps_id === episodeId);
+    return [...(this.commentsByEpisode.get(episodeId) || [])];
   }
 
   /**
    * Get episodes by host
    */
   getEpisodesByHost(hostId) {
-    return this.episodes.filter(ep => ep.hostid === hostId);
+    return [...(this.episodesByHost.get(hostId) || [])];
   }
 
   /**
    * Get episodes in a series
    */
   getEpisodesInSeries(seriesId) {
-    return this.episodes.filter(ep => ep.series === seriesId);
+    return [...(this.episodesBySeries.get(seriesId) || [])];
+  }
+
+  /**
+   * Get episodes with a tag (case-insensitive, whole tag)
+   */
+  getEpisodesByTag(tag) {
+    return [...(this.episodesByTag.get(String(tag).trim().toLowerCase()) || [])];
   }
 
   /**
-   * Search episodes by keyword in title, summary, or tags with fuzzy matching fallback
-   * Returns episodes with matchType indicator ('exact' or 'fuzzy')
+   * Episode ids matching a single query term node (see query-parser.js).
+   * With `expand`, text terms also match stem variants and synonyms.
+   */
+  matchEpisodeTerm(node, { expand = true } = {}) {
+    const value = node.value.toLowerCase();
+
+    if (node.field === 'date') {
+      const compare = {
+        '=': (date) => date === value,
+        '>': (date) => date > value,
+        '>=': (date) => date >= value,
+        '<': (date) => date < value,
+        '<=': (date) => date <= value,
+      }[node.op];
+      // Compare only as much of the date as was given, so date:>2015 means 2016 onwards
+      return new Set(this.episodes
+        .filter(ep => compare(ep.date.slice(0, value.length)))
+        .map(ep => ep.id));
+    }
+
+    if (node.field === 'host') {
+      return new Set(this.hosts
+        .filter(h => h.host.toLowerCase().includes(value) || String(h.hostid) === value)
+        .flatMap(h => (this.episodesByHost.get(h.hostid) || []).map(ep => ep.id)));
+    }
+
+    if (node.field === 'series') {
+      return new Set(this.series
+        .filter(s => s.name.toLowerCase().includes(value) || String(s.id) === value)
+        .flatMap(s => (this.episodesBySeries.get(s.id) || []).map(ep => ep.id)));
+    }
+
+    // Text fields: every word of the term (or of one of its synonyms) must be
+    // present, in the given field if any
+    const fields = node.field ? [node.field] : EPISODE_FIELDS;
+    const inFields = (frequencies) => fields.some(field => frequencies[field]);
+    const alternatives = expand ? this.synonyms.alternatives(node.value) : [node.value];
+    const matched = new Set();
+
+    for (const alternative of alternatives) {
+      const tokens = tokenize(alternative);
+      if (tokens.length === 0) continue;
+
+      let ids = null;
+      for (const token of tokens) {
+        const next = new Set();
+        for (const variant of this.episodeIndex.variants(token, expand)) {
+          for (const [episodeId, frequencies] of this.episodeIndex.documents(variant)) {
+            if ((ids === null || ids.has(episodeId)) && inFields(frequencies)) {
+              next.add(episodeId);
+            }
+          }
+        }
+        ids = next;
+        if (ids.size === 0) break;
+      }
+
+      // Phrases (and words like "node.js" that split into several tokens) must be adjacent
+      if (tokens.length > 1 && ids.size > 0) {
+        const normalise = (words) => ` ${(expand ? words.map(stem) : words).join(' ')} `;
+        const needle = normalise(tokens);
+        const containsPhrase = (ep) => fields.some(field => {
+          const text = field === 'notes' ? stripTags(ep.notes) : ep[field];
+          return normalise(tokenize(text)).includes(needle);
+        });
+        ids = new Set([...ids].filter(id => containsPhrase(this.getEpisode(id))));
+      }
+
+      ids.forEach(id => matched.add(id));
+    }
+
+    return matched;
+  }
+
+  /**
+   * Search episodes by keyword in title, summary, tags, or notes with fuzzy matching fallback.
+   * The query supports the boolean/fielded syntax from query-parser.js; plain words must all match.
+   * Exact matches are ranked with BM25 (title > tags > summary > notes) and carry a `score`.
+   * Words match their stem variants and synonyms unless `expand` is false.
+   * When nothing matches exactly, each word is fuzzy matched against title, tag and host-name
+   * words (up to `maxDistance` typos per word) and fuzzy results carry their total `matchDistance`.
+   * Returns episodes with matchType indicator ('exact' or 'fuzzy').
+   * Throws QueryParseError for invalid query syntax.
    */
   searchEpisodes(query, options = {}) {
     const {
@@ -185,10 +642,12 @@ class HPRDataLoader {
       tag = null,
       fromDate = null,
       toDate = null,
-      maxDistance = 3  // More lenient for longer episode titles
+      sort = 'relevance',
+      expand = true,
+      maxDistance = 3  // Per word; short words tolerate fewer typos (see fuzzyTolerance)
     } = options;
 
-    const queryLower = query.toLowerCase();
+    const ast = parseQuery(query);
 
     // Helper to check if episode matches filters (excluding query)
     const matchesFilters = (ep) => {
@@ -200,71 +659,288 @@ class HPRDataLoader {
       return matchesHost && matchesSeries && matchesTag && matchesDateRange;
     };
 
-    // Try exact substring match first (fast path)
-    let results = this.episodes.filter(ep => {
-      const matchesQuery = !query ||
-        ep.title.toLowerCase().includes(queryLower) ||
-        ep.summary.toLowerCase().includes(queryLower) ||
-        ep.tags.toLowerCase().includes(queryLower) ||
-        ep.notes.toLowerCase().includes(queryLower);
-
-      return matchesQuery && matchesFilters(ep);
-    }).map(ep => ({
-      ...ep,
-      matchType: 'exact'
-    }));
+    let results;
 
-    // If no exact matches and we have a query, try fuzzy match on title
-    if (results.length === 0 && query && query.trim().length > 0) {
-      const fuzzyResults = this.episodes
-        .filter(matchesFilters)
-        .map(ep => {
-          // Check if any word in the title is close to the query
-          const titleWords = ep.title.toLowerCase().split(/\s+/);
-          let minDistance = Infinity;
-
-          for (const word of titleWords) {
-            const distance = levenshteinDistance(queryLower, word);
-            if (distance < minDistance) {
-              minDistance = distance;
+    if (!ast) {
+      // No query: every episode passing the filters
+      results = this.episodes.filter(matchesFilters).map(ep => ({
+        ...ep,
+        matchType: 'exact'
+      }));
+    } else {
+      // Evaluate the query against the inverted index (fast path)
+      const matchedIds = evaluateQuery(ast, {
+        universe: new Set(this.episodes.map(ep => ep.id)),
+        resolveLeaf: (node) => this.matchEpisodeTerm(node, { expand }),
+      });
+
+      // Rank by the words that contributed to the match, taking the best
+      // scoring synonym and stem variant of each
+      const scoringTerms = positiveTerms(ast)
+        .filter(node => !node.field || EPISODE_FIELDS.includes(node.field))
+        .map(node => (expand ? this.synonyms.alternatives(node.value) : [node.value])
+          .map(alternative => tokenize(alternative).map(token => this.episodeIndex.variants(token, expand))));
+
+      const scoreEpisode = (episodeId) => scoringTerms.reduce((total, alternatives) =>
+        total + Math.max(0, ...alternatives.map(tokens => tokens.reduce((sum, variants) =>
+          sum + Math.max(0, ...variants.map(variant => this.episodeIndex.scoreTerm(variant, episodeId))), 0))), 0);
+
+      results = this.episodes
+        .filter(ep => matchedIds.has(ep.id) && matchesFilters(ep))
+        .map(ep => ({
+          ...ep,
+          matchType: 'exact',
+          score: scoreEpisode(ep.id)
+        }));
+    }
+
+    // If no exact matches and we have a plain-word query, fuzzy match each word
+    // against title, tag and host-name words; every word must match something
+    if (results.length === 0 && query && query.trim().length > 0 && !hasQuerySyntax(query)) {
+      let distances = null; // episode id -> total distance over the words so far
+
+      for (const token of tokenize(query)) {
+        const tolerance = fuzzyTolerance(token, maxDistance);
+        const closest = new Map();
+
+        for (const [word, ids] of this.fuzzyWords) {
+          if (Math.abs(word.length - token.length) > tolerance) continue;
+          const distance = levenshteinDistance(token, word);
+          if (distance > tolerance) continue;
+          for (const id of ids) {
+            if (!closest.has(id) || distance < closest.get(id)) {
+              closest.set(id, distance);
             }
           }
+        }
 
-          return {
-            episode: ep,
-            distance: minDistance
-          };
-        })
-        .filter(result => result.distance <= maxDistance)
-        .sort((a, b) => a.distance - b.distance)
-        .map(result => ({
-          ...result.episode,
+        distances = distances === null
+          ? closest
+          : new Map([...distances]
+              .filter(([id]) => closest.has(id))
+              .map(([id, distance]) => [id, distance + closest.get(id)]));
+        if (distances.size === 0) break;
+      }
+
+      results = this.episodes
+        .filter(ep => distances?.has(ep.id) && matchesFilters(ep))
+        .map(ep => ({
+          ...ep,
           matchType: 'fuzzy',
-          matchDistance: result.distance
+          matchDistance: distances.get(ep.id)
         }));
-
-      results = fuzzyResults;
     }
 
-    // Sort by date (newest first), maintaining match quality
+    const byDate = (a, b) => b.date.localeCompare(a.date);
+
     results.sort((a, b) => {
       // If both are fuzzy matches, sort by distance first, then date
       if (a.matchType === 'fuzzy' && b.matchType === 'fuzzy') {
         const distDiff = (a.matchDistance || 0) - (b.matchDistance || 0);
         if (distDiff !== 0) return distDiff;
+        return byDate(a, b);
+      }
+      // Relevance order (highest score first), falling back to date (newest first)
+      if (sort === 'relevance' && a.score !== undefined && b.score !== undefined) {
+        const scoreDiff = b.score - a.score;
+        if (scoreDiff !== 0) return scoreDiff;
       }
-      return b.date.localeCompare(a.date);
+      return byDate(a, b);
     });
 
     return results.slice(0, limit);
   }
 
   /**
-   * Search transcripts by keyword
+   * Facet counts over a set of episodes (e.g. every search match before `limit`):
+   * how many are by each host, in each series, from each year, with each tag and
+   * under each license. Each facet lists its `limit` most common values as
+   * { value, label?, count }, most common first.
+   */
+  getEpisodeFacets(episodes, { limit = 10 } = {}) {
+    const counters = { host: new Map(), series: new Map(), year: new Map(), tag: new Map(), license: new Map() };
+    const increment = (counter, value) => counter.set(value, (counter.get(value) || 0) + 1);
+
+    for (const ep of episodes) {
+      increment(counters.host, ep.hostid);
+      increment(counters.series, ep.series);
+      increment(counters.year, ep.date.slice(0, 4));
+      if (ep.license) increment(counters.license, ep.license);
+
+      splitTags(ep.tags).forEach(tag => increment(counters.tag, tag));
+    }
+
+    const labels = {
+      host: (hostId) => this.getHost(hostId)?.host,
+      series: (seriesId) => this.getSeries(seriesId)?.name,
+    };
+
+    const facets = {};
+    for (const [facet, counter] of Object.entries(counters)) {
+      facets[facet] = [...counter]
+        .sort((a, b) => (b[1] - a[1]) || String(a[0]).localeCompare(String(b[0]), undefined, { numeric: true }))
+        .slice(0, limit)
+        .map(([value, count]) => (labels[facet]
+          ? { value, label: labels[facet](value) || 'Unknown', count }
+          : { value, count }));
+    }
+
+    return facets;
+  }
+
+  /**
+   * "Did you mean" suggestions for a query that found nothing: words missing from the
+   * episode metadata (corpus 'episodes') or transcript (corpus 'transcripts') vocabulary
+   * are replaced by the closest indexed words, preferring the most widely used.
+   * Operators and field prefixes are kept. Returns up to `limit` query strings.
+   */
+  suggestQueries(query, { corpus = 'episodes', limit = 3, maxDistance = 2 } = {}) {
+    const index = corpus === 'transcripts' ? this.transcriptIndex : this.episodeIndex;
+    const corrections = [];
+
+    for (const { start, end } of tokenOffsets(query || '')) {
+      const word = query.slice(start, end);
+      const token = word.toLowerCase();
+      const isSyntax = QUERY_OPERATOR_WORDS.has(word) || query[end] === ':' || /^\d+$/.test(word);
+      if (isSyntax || token.length < 3 || index.documentFrequency(token) > 0) {
+        continue;
+      }
+
+      const tolerance = Math.max(1, fuzzyTolerance(token, maxDistance));
+      const candidates = [];
+      for (const candidate of index.vocabulary()) {
+        if (Math.abs(candidate.length - token.length) > tolerance) continue;
+        const distance = levenshteinDistance(token, candidate);
+        if (distance <= tolerance) {
+          candidates.push({ word: candidate, distance, frequency: index.documentFrequency(candidate) });
+        }
+      }
+
+      if (candidates.length > 0) {
+        // Ties go alphabetically, so suggestions don't depend on the storage backend's word order
+        candidates.sort((a, b) => (a.distance - b.distance) || (b.frequency - a.frequency) || (a.word < b.word ? -1 : 1));
+        corrections.push({ start, end, words: candidates.slice(0, limit).map(c => c.word) });
+      }
+    }
+
+    if (corrections.length === 0) {
+      return [];
+    }
+
+    // Best correction for every word first, then alternatives for one word at a time
+    const apply = (choices) => corrections.reduceRight(
+      (text, { start, end }, i) => text.slice(0, start) + choices[i] + text.slice(end),
+      query
+    );
+    const best = corrections.map(correction => correction.words[0]);
+    const suggestions = [apply(best)];
+
+    corrections.forEach((correction, i) => {
+      for (const word of correction.words.slice(1)) {
+        suggestions.push(apply(best.map((choice, j) => (j === i ? word : choice))));
+      }
+    });
+
+    return [...new Set(suggestions)].slice(0, limit);
+  }
+
+  /**
+   * Occurrence counts of a search term in each transcript, as a Map of episode id to count
+   */
+  findTranscriptTerm(matcher, { wholeWord = false } = {}) {
+    const counts = new Map();
+
+    for (const alternative of matcher.alternatives) {
+      const occurrences = this.transcriptIndex.findPhrase(alternative, { wholeWord, expand: matcher.expand });
+
+      for (const [episodeId, starts] of occurrences) {
+        let count = starts.length;
+
+        // The index is case-insensitive and ignores punctuation and line breaks,
+        // so confirm the literal pattern when the match must be exact
+        if (matcher.verify) {
+          matcher.regex.lastIndex = 0;
+          count = (this.transcripts.get(episodeId).match(matcher.regex) || []).length;
+        }
+
+        if (count > 0) {
+          counts.set(episodeId, (counts.get(episodeId) || 0) + count);
+        }
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Find places where every term occurs within `distance` words of the others.
+   * Returns a Map of episode id to non-overlapping { start, end } token windows.
+   */
+  findProximityWindows(matchers, distance, { wholeWord = false } = {}) {
+    // Every occurrence of each term (or its synonyms), as { start, end } per episode
+    const termOccurrences = matchers.map(matcher => {
+      const byEpisode = new Map();
+      for (const alternative of matcher.alternatives) {
+        const length = Math.max(1, tokenize(alternative).length);
+        for (const [episodeId, starts] of this.transcriptIndex.findPhrase(alternative, { wholeWord, expand: matcher.expand })) {
+          const spans = byEpisode.get(episodeId) || [];
+          starts.forEach(start => spans.push({ start, end: start + length - 1 }));
+          byEpisode.set(episodeId, spans);
+        }
+      }
+      return byEpisode;
+    });
+    const windowsByEpisode = new Map();
+
+    for (const episodeId of termOccurrences[0].keys()) {
+      if (!termOccurrences.every(byEpisode => byEpisode.has(episodeId))) {
+        continue;
+      }
+
+      // Walk every occurrence of every term in position order, tracking the
+      // latest occurrence of each term; a window closes once all are close enough
+      const events = termOccurrences.flatMap((byEpisode, termIndex) =>
+        byEpisode.get(episodeId).map(span => ({ termIndex, ...span }))
+      ).sort((a, b) => a.start - b.start);
+
+      const latest = new Array(matchers.length).fill(null);
+      const windows = [];
+
+      for (const event of events) {
+        latest[event.termIndex] = event;
+        if (latest.every(Boolean)) {
+          const start = Math.min(...latest.map(e => e.start));
+          const end = Math.max(...latest.map(e => e.end));
+          if (end - start <= distance) {
+            windows.push({ start, end });
+            latest.fill(null);
+          }
+        }
+      }
+
+      if (windows.length > 0) {
+        windowsByEpisode.set(episodeId, windows);
+      }
+    }
+
+    return windowsByEpisode;
+  }
+
+  /**
+   * Search transcripts by keyword using the positional transcript index.
+   * With matchMode 'query' (or any query-language syntax in `query` when matchMode is not set)
+   * the query is parsed with query-parser.js; otherwise it is a phrase or a list of any/all terms.
+   * `withinWords` turns a list of terms into a proximity search (see NEAR/n in the query syntax).
+   * Words match their stem variants and synonyms unless `expand` is false or the search is case-sensitive.
+   * Matching episodes are ranked by BM25 term frequency/density across the whole corpus.
+   * Returns { results, total } where results are the `limit` episodes after the first `offset`
+   * and total counts every matching episode.
+   * Throws QueryParseError for invalid query syntax.
    */
   searchTranscripts(query, options = {}) {
     const {
       limit = 20,
+      offset = 0,
       contextLines = 3,
       terms = [],
       matchMode = 'auto',
@@ -273,6 +949,8 @@ class HPRDataLoader {
       caseSensitive = false,
       wholeWord = false,
       maxMatchesPerEpisode = 5,
+      withinWords = null,
+      expand = true,
     } = options;
 
     const resolvedHostIds = new Set();
@@ -289,6 +967,15 @@ class HPRDataLoader {
       ? terms.map(t => (t ?? '').toString().trim()).filter(Boolean)
       : [];
 
+    const useQueryLanguage = matchMode === 'query' ||
+      (!['any', 'all', 'phrase'].includes(matchMode) && explicitTerms.length === 0 && hasQuerySyntax(query));
+
+    if (useQueryLanguage && withinWords) {
+      throw new QueryParseError('withinWords cannot be combined with query syntax; use NEAR/n in the query instead');
+    }
+
+    let ast = useQueryLanguage ? parseQuery(query) : null;
+
     const splitQueryTerms = (matchMode === 'any' || matchMode === 'all')
       ? (query || '')
           .split(/[|,;\n]/)
@@ -303,71 +990,231 @@ class HPRDataLoader {
       searchTerms = [query.trim()];
     }
 
-    let resolvedMatchMode = matchMode;
-    if (!['any', 'all', 'phrase'].includes(resolvedMatchMode)) {
+    let resolvedMatchMode = useQueryLanguage ? 'query' : matchMode;
+    if (!['any', 'all', 'phrase', 'query'].includes(resolvedMatchMode)) {
       resolvedMatchMode = searchTerms.length > 1 ? 'any' : 'phrase';
     }
 
-    const effectiveTerms = resolvedMatchMode === 'phrase'
+    // A term list with withinWords is a proximity search over those terms
+    if (!useQueryLanguage && withinWords && searchTerms.length > 1) {
+      resolvedMatchMode = 'near';
+      ast = {
+        type: 'near',
+        distance: withinWords,
+        children: searchTerms.map(term => ({ type: 'term', field: null, value: term, phrase: true })),
+      };
+    }
+
+    let effectiveTerms = resolvedMatchMode === 'phrase'
       ? [(hasQuery ? query.trim() : searchTerms[0] || '')].filter(Boolean)
       : searchTerms;
 
-    if (effectiveTerms.length === 0) {
-      return [];
+    if (resolvedMatchMode === 'query' || resolvedMatchMode === 'near') {
+      if (!ast) {
+        return { results: [], total: 0 };
+      }
+      // Only words outside NOT clauses are counted, ranked and excerpted
+      effectiveTerms = [...new Set(positiveTerms(ast).filter(node => !node.field).map(node => node.value))];
+    } else if (effectiveTerms.length === 0) {
+      return { results: [], total: 0 };
     }
 
+    // Case-sensitive searches are literal, so they are never expanded
+    const expandTerms = expand && !caseSensitive;
     const regexFlags = caseSensitive ? 'g' : 'gi';
-    const matchers = effectiveTerms.map(term => {
+
+    // Pattern for a term, allowing any indexed stem variant of each word
+    const variantPattern = (alternative) => tokenize(alternative)
+      .map(token => `(?:${this.transcriptIndex.variants(token).map(escapeRegExp).join('|')})`)
+      .join('[^\\p{L}\\p{N}]+');
+
+    const buildMatcher = (term) => {
       if (!term) return null;
-      const escaped = escapeRegExp(term);
-      const pattern = wholeWord ? `\\b${escaped}\\b` : escaped;
       try {
+        const tokens = tokenize(term);
+        const plainWord = tokens.length === 1 && tokens[0] === term.toLowerCase();
+
+        if (expandTerms) {
+          const alternatives = this.synonyms.alternatives(term);
+          const pattern = alternatives.map(variantPattern).filter(Boolean).join('|');
+          return {
+            term,
+            alternatives,
+            expand: true,
+            verify: false,
+            regex: new RegExp(wholeWord ? `(?<![\\p{L}\\p{N}])(?:${pattern})(?![\\p{L}\\p{N}])` : pattern, 'giu'),
+          };
+        }
+
+        const escaped = escapeRegExp(term);
+        const pattern = wholeWord ? `\\b${escaped}\\b` : escaped;
         return {
           term,
+          alternatives: [term],
+          expand: false,
+          // Confirm the literal pattern for anything but a plain single word
+          verify: caseSensitive || !plainWord,
           regex: new RegExp(pattern, regexFlags),
         };
       } catch (error) {
         console.error(`Invalid search pattern for term "${term}":`, error.message);
         return null;
       }
-    }).filter(Boolean);
+    };
 
-    if (matchers.length === 0) {
-      return [];
+    const matchers = effectiveTerms.map(buildMatcher).filter(Boolean);
+
+    if (matchers.length === 0 && !ast) {
+      return { results: [], total: 0 };
     }
 
-    const results = [];
+    // Look up each term's occurrences in the index
+    const termHits = matchers.map(matcher => ({
+      matcher,
+      counts: this.findTranscriptTerm(matcher, { wholeWord }),
+    }));
+
+    let candidateIds;
+    const proximityWindows = new Map();
+
+    if (ast) {
+      const hitsByTerm = new Map(termHits.map(({ matcher, counts }) => [matcher.term, counts]));
+      // Excluded words are not in termHits, so look them up on demand
+      const countsFor = (value) => hitsByTerm.get(value) ||
+        this.findTranscriptTerm(buildMatcher(value), { wholeWord });
+
+      candidateIds = evaluateQuery(ast, {
+        universe: new Set(this.transcripts.keys()),
+        resolveLeaf: (node) => {
+          if (node.field) {
+            return this.matchEpisodeTerm(node, { expand: expandTerms });
+          }
+          return new Set(countsFor(node.value).keys());
+        },
+        resolveNear: (node) => {
+          const values = node.children.map(child => child.value);
+          const windows = this.findProximityWindows(values.map(buildMatcher), node.distance, { wholeWord });
+          const matched = new Set();
+
+          for (const [episodeId, episodeWindows] of windows) {
+            if (values.every(value => countsFor(value).has(episodeId))) {
+              matched.add(episodeId);
+              proximityWindows.set(episodeId, [...(proximityWindows.get(episodeId) || []), ...episodeWindows]);
+            }
+          }
+          return matched;
+        },
+      });
+    } else {
+      candidateIds = new Set(termHits.flatMap(({ counts }) => [...counts.keys()]));
+    }
 
-    for (const [episodeId, transcript] of this.transcripts) {
-      if (results.length >= limit) break;
+    const ranked = [];
 
+    for (const episodeId of candidateIds) {
       const episode = this.getEpisode(episodeId);
-      if (!episode) continue;
+      if (!episode || !this.transcripts.has(episodeId)) continue;
 
       if (filterByHost && !resolvedHostIds.has(episode.hostid)) {
         continue;
       }
 
+      const termHitCounts = new Map();
+      let score = 0;
+      for (const { matcher, counts } of termHits) {
+        const count = counts.get(episodeId);
+        if (count) {
+          termHitCounts.set(matcher.term, count);
+          score += this.transcriptIndex.score(episodeId, count, counts.size);
+        }
+      }
+
+      // Co-occurrence within the word window counts towards relevance too
+      const windows = proximityWindows.get(episodeId);
+      if (windows) {
+        score += this.transcriptIndex.score(episodeId, windows.length, proximityWindows.size);
+      }
+
+      if (!ast && termHitCounts.size === 0) {
+        continue;
+      }
+
+      if (resolvedMatchMode === 'all' && termHitCounts.size < matchers.length) {
+        continue;
+      }
+
+      ranked.push({ episode, score, termHitCounts });
+    }
+
+    // Best matches first, newest first on ties
+    ranked.sort((a, b) => (b.score - a.score) || b.episode.date.localeCompare(a.episode.date));
+
+    // Only the returned episodes need their excerpts extracted
+    const results = ranked.slice(offset, offset + limit).map(({ episode, score, termHitCounts }) => {
+      const transcript = this.transcripts.get(episode.id);
       const lines = transcript.split(/\r?\n/);
       const matches = [];
-      const matchedTerms = new Set();
-      const termHitCounts = new Map();
       let truncated = false;
 
-      for (let index = 0; index < lines.length; index++) {
+      const windows = proximityWindows.get(episode.id) || [];
+      if (windows.length > 0) {
+        // Centre each excerpt on a proximity window rather than on single lines
+        const offsets = tokenOffsets(transcript);
+        const lineStarts = [0];
+        for (let i = 0; i < transcript.length; i++) {
+          if (transcript[i] === '\n') lineStarts.push(i + 1);
+        }
+        const lineOf = (offset) => {
+          let low = 0;
+          let high = lineStarts.length - 1;
+          while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+          }
+          return low;
+        };
+
+        const sortedWindows = [...windows].sort((a, b) => a.start - b.start);
+        for (const window of sortedWindows) {
+          if (matches.length >= maxMatchesPerEpisode) {
+            truncated = true;
+            break;
+          }
+
+          const firstLine = lineOf(offsets[window.start]?.start ?? 0);
+          const lastLine = lineOf(offsets[window.end]?.start ?? 0);
+          const start = Math.max(0, firstLine - contextLines);
+          const end = Math.min(lines.length, lastLine + contextLines + 1);
+          const windowText = offsets[window.start] && offsets[window.end]
+            ? transcript.slice(offsets[window.start].start, offsets[window.end].end)
+            : '';
+
+          matches.push({
+            lineNumber: firstLine + 1,
+            terms: [...termHitCounts.keys()],
+            window: windowText.replace(/\s+/g, ' '),
+            context: lines.slice(start, end).join('\n'),
+          });
+        }
+      }
+
+      for (let index = 0; windows.length === 0 && index < lines.length; index++) {
         const line = lines[index];
         const matchedOnLine = [];
 
         for (const matcher of matchers) {
           matcher.regex.lastIndex = 0;
-          if (matcher.regex.test(line)) {
+          if (termHitCounts.has(matcher.term) && matcher.regex.test(line)) {
             matchedOnLine.push(matcher.term);
-            matchedTerms.add(matcher.term);
-            termHitCounts.set(matcher.term, (termHitCounts.get(matcher.term) || 0) + 1);
           }
         }
 
         if (matchedOnLine.length > 0) {
+          if (matches.length >= maxMatchesPerEpisode) {
+            truncated = true;
+            break;
+          }
+
           const start = Math.max(0, index - contextLines);
           const end = Math.min(lines.length, index + contextLines + 1);
           const context = lines.slice(start, end).join('\n');
@@ -378,35 +1225,24 @@ class HPRDataLoader {
             context,
           });
         }
-
-        if (matches.length >= maxMatchesPerEpisode) {
-          truncated = true;
-          break;
-        }
       }
 
-      if (matches.length === 0) {
-        continue;
-      }
-
-      if (resolvedMatchMode === 'all' && matchedTerms.size < matchers.length) {
-        continue;
-      }
-
-      results.push({
+      return {
         episode,
+        score,
         matches,
         matchSummary: {
           matchMode: resolvedMatchMode,
-          matchedTerms: [...matchedTerms],
+          matchedTerms: [...termHitCounts.keys()],
           totalMatches: matches.length,
           termHitCounts: Object.fromEntries(termHitCounts),
+          proximityHits: windows.length,
           truncated,
         },
-      });
-    }
+      };
+    });
 
-    return results;
+    return { results, total: ranked.length };
   }
 
   /**
@@ -455,6 +1291,90 @@ class HPRDataLoader {
     return fuzzyMatches;
   }
 
+  /**
+   * Candidate values for argument completion, most used first: { value, labels }
+   * where labels are the texts a partial value is matched against
+   */
+  completionCandidates(kind) {
+    const byEpisodeCount = (groups, id) => (groups.get(id)?.length || 0);
+
+    switch (kind) {
+      case 'hostName':
+      case 'hostId':
+        return [...this.hosts]
+          .sort((a, b) => byEpisodeCount(this.episodesByHost, b.hostid) - byEpisodeCount(this.episodesByHost, a.hostid))
+          .map(host => kind === 'hostName'
+            ? { value: host.host, labels: [host.host] }
+            : { value: String(host.hostid), labels: [String(host.hostid), host.host] });
+      case 'seriesId':
+        return this.series
+          .filter(s => s.valid === 1 && s.private === 0)
+          .sort((a, b) => byEpisodeCount(this.episodesBySeries, b.id) - byEpisodeCount(this.episodesBySeries, a.id))
+          .map(s => ({ value: String(s.id), labels: [String(s.id), s.name] }));
+      case 'tag':
+        return [...this.episodesByTag.keys()]
+          .sort((a, b) => byEpisodeCount(this.episodesByTag, b) - byEpisodeCount(this.episodesByTag, a))
+          .map(tag => ({ value: tag, labels: [tag] }));
+      case 'episodeId':
+        return [...this.episodes]
+          .sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id)
+          .map(ep => ({ value: String(ep.id), labels: [String(ep.id), `hpr${String(ep.id).padStart(4, '0')}`, ep.title] }));
+      default:
+        throw new Error(`Unknown completion "${kind}"`);
+    }
+  }
+
+  /**
+   * Complete a partially typed argument value. `kind` is 'hostName', 'hostId',
+   * 'seriesId', 'tag' or 'episodeId'; ids are also matched by name or title, so
+   * "klaa" completes a hostId to Klaatu's id. An exact match comes first, then
+   * values whose label starts with the input, then those with a word starting
+   * with it, then labels or words whose start is within a few typos of it,
+   * closest first. Inputs with digits are not fuzzy matched, as a typo in a
+   * number is another number.
+   * Returns { values, total } with at most `limit` values.
+   */
+  completeArgument(kind, input, { limit = 100, maxDistance = 2 } = {}) {
+    const candidates = this.completionCandidates(kind);
+    const text = String(input ?? '').trim().toLowerCase();
+    if (!text) {
+      return { values: candidates.slice(0, limit).map(c => c.value), total: candidates.length };
+    }
+
+    const tolerance = /\d/.test(text) ? 0 : fuzzyTolerance(text, maxDistance);
+    const ranked = [];
+    candidates.forEach(({ value, labels }, order) => {
+      let rank = Infinity;
+      for (const label of labels) {
+        const lower = label.toLowerCase();
+        const words = lower.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        if (lower === text) {
+          rank = 0;
+          break;
+        }
+        if (lower.startsWith(text)) {
+          rank = Math.min(rank, 1);
+        } else if (words.some(word => word.startsWith(text))) {
+          rank = Math.min(rank, 2);
+        } else if (tolerance > 0) {
+          for (const candidate of [lower, ...words]) {
+            const distance = levenshteinDistance(text, candidate.slice(0, text.length));
+            if (distance <= tolerance) {
+              rank = Math.min(rank, 2 + distance);
+            }
+          }
+        }
+      }
+      if (rank !== Infinity) {
+        ranked.push({ value, rank, order });
+      }
+    });
+
+    ranked.sort((a, b) => (a.rank - b.rank) || (a.order - b.order));
+    const values = [...new Set(ranked.map(r => r.value))];
+    return { values: values.slice(0, limit), total: values.length };
+  }
+
   /**
    * Get statistics
    */
@@ -465,6 +1385,7 @@ class HPRDataLoader {
       totalComments: this.comments.length,
       totalSeries: this.series.length,
       totalTranscripts: this.transcripts.size,
+      transcriptChanges: this.transcriptChanges,
       dateRange: {
         earliest: this.episodes.reduce((min, ep) => ep.date < min ? ep.date : min, this.episodes[0]?.date || ''),
         latest: this.episodes.reduce((max, ep) => ep.date > max ? ep.date : max, this.episodes[0]?.date || '')
@@ -1,65 +1,90 @@
 #!/usr/bin/env node
 
 /**
- * Simple demo of using the deployed MCP server
+ * Simple demo of using the deployed server's REST API
  *
- * This shows how you CAN use the HTTP/SSE server TODAY with custom code.
- * While major AI tools don't support it yet, YOU can access it programmatically.
+ * The HTTP server exposes the knowledge base as plain JSON under /api/v1, so
+ * any code that can make an HTTP request can search it - no MCP client needed.
+ *
+ * Usage: node demo-http-api.js [query]   (HPR_SERVER_URL overrides the server)
  */
 
-const SERVER_URL = 'https://hpr-knowledge-base.onrender.com';
+const SERVER_URL = process.env.HPR_SERVER_URL || 'https://hpr-knowledge-base.onrender.com';
+const API_URL = `${SERVER_URL}/api/v1`;
 
 console.log('🎙️  HPR Knowledge Base - HTTP API Demo\n');
-console.log(`Connecting to: ${SERVER_URL}\n`);
+console.log(`Connecting to: ${API_URL}\n`);
 
-// Simple fetch-based approach (works NOW)
-async function searchHPR(query) {
-  console.log(`🔍 Searching for: "${query}"`);
+// Helper to GET an API endpoint and fail on error responses
+async function api(path, params = {}) {
+  const url = new URL(`${API_URL}${path}`);
+  for (const [name, value] of Object.entries(params)) {
+    url.searchParams.set(name, value);
+  }
 
-  // For demo purposes, we'll query the health endpoint
-  // In a real integration, you'd implement the full MCP protocol
-  const response = await fetch(`${SERVER_URL}/health`);
+  const response = await fetch(url);
   const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`${response.status} ${data.error}: ${data.message}`);
+  }
+  return data;
+}
 
-  console.log(`✅ Server is ${data.status}`);
-  console.log(`📊 Memory usage: ${data.memory.used} / ${data.memory.threshold}`);
-  console.log(`🔌 Active requests: ${data.activeRequests}`);
-  console.log(`⚡ Circuit breaker: ${data.circuitBreaker}\n`);
+// Search episode metadata
+async function searchHPR(query) {
+  console.log(`🔍 Searching episodes for: "${query}"`);
 
-  return data;
+  const { total, episodes } = await api('/episodes', { q: query, limit: 5 });
+  console.log(`✅ ${total} episodes found, showing ${episodes.length}:`);
+  for (const episode of episodes) {
+    console.log(`   HPR${String(episode.id).padStart(4, '0')} (${episode.date}) ${episode.title} - by ${episode.hostName}`);
+  }
+  console.log('');
+
+  return episodes;
 }
 
-// Example: Your own search function that wraps the MCP server
-async function myCustomSearch(topic) {
-  console.log(`💡 This is YOUR custom function that queries the MCP server`);
-  console.log(`   You can integrate this into any Node.js app, web app, etc.\n`);
+// Search what was said in the episodes
+async function searchTranscripts(query) {
+  console.log(`🗣️  Searching transcripts for: "${query}"`);
 
-  // In production, you'd implement the full MCP protocol here
-  // For now, just showing the server is accessible
-  const health = await searchHPR(topic);
+  const { total, results } = await api('/transcripts/search', { q: query, limit: 3, maxMatchesPerEpisode: 1, contextLines: 0 });
+  console.log(`✅ ${total} transcripts mention it, showing ${results.length}:`);
+  for (const { episode, matches } of results) {
+    console.log(`   HPR${String(episode.id).padStart(4, '0')} ${episode.title}`);
+    console.log(`      "${matches[0].context.trim()}"`);
+  }
+  console.log('');
 
-  console.log(`🎯 What you can do with this:`);
-  console.log(`   - Build a custom search UI`);
-  console.log(`   - Integrate with your own AI chatbot`);
-  console.log(`   - Create a Slack bot that queries HPR`);
-  console.log(`   - Build a browser extension`);
-  console.log(`   - Make a Discord bot`);
-  console.log(`   - Anything that runs JavaScript!\n`);
+  return results;
+}
+
+// Look up an episode and its host
+async function showEpisode(episodeId) {
+  const { episode, comments } = await api(`/episodes/${episodeId}`);
+  const { host } = await api(`/hosts/${episode.hostId}`, { limit: 1 });
 
-  return health;
+  console.log(`📻 HPR${String(episode.id).padStart(4, '0')}: ${episode.title}`);
+  console.log(`   ${episode.summary}`);
+  console.log(`   Host: ${host.name}, ${comments.length} comments, transcript ${episode.hasTranscript ? 'available' : 'not available'}\n`);
 }
 
 // Run the demo
 try {
-  await myCustomSearch('linux');
-
-  console.log(`✅ Success! The HTTP/SSE server is live and accessible.\n`);
-  console.log(`📚 Next steps:`);
-  console.log(`   1. See CONFIGURATION.md for custom integration examples`);
-  console.log(`   2. Implement full MCP protocol (JSON-RPC 2.0 over SSE)`);
-  console.log(`   3. Or wait for your favorite AI tool to add MCP support\n`);
-  console.log(`🔮 Future: When Claude.ai, ChatGPT, etc. add HTTP/SSE MCP support,`);
-  console.log(`   they'll be able to connect to: ${SERVER_URL}/sse`);
+  const query = process.argv[2] || 'linux';
+  const episodes = await searchHPR(query);
+  await searchTranscripts(query);
+  if (episodes.length > 0) {
+    await showEpisode(episodes[0].id);
+  }
+
+  console.log(`🎯 What you can do with this:`);
+  console.log(`   - Build a custom search UI`);
+  console.log(`   - Create a Slack or Discord bot that queries HPR`);
+  console.log(`   - Build a browser extension`);
+  console.log(`   - Anything that can make an HTTP request!\n`);
+  console.log(`📚 See the REST API section of README.md for every endpoint and parameter.`);
+  console.log(`   MCP clients should connect to ${SERVER_URL}/mcp instead.`);
 
 } catch (error) {
   console.error('❌ Error:', error.message);
@@ -0,0 +1,55 @@
+/**
+ * In-memory event store for one Streamable HTTP session (the SDK's EventStore
+ * interface). It keeps the last `maxEvents` messages sent on any of the
+ * session's streams, so a client that reconnects with a Last-Event-ID header
+ * is sent the messages it missed. Every POST gets a stream of its own, so the
+ * limit is for the whole session rather than each stream.
+ */
+export class MemoryEventStore {
+  constructor({ maxEvents = 100 } = {}) {
+    this.maxEvents = maxEvents;
+    this.events = new Map(); // event id -> { streamId, message }, oldest first
+    this.streams = new Map(); // stream id -> event ids kept, oldest first
+    this.nextEventId = 1;
+  }
+
+  async storeEvent(streamId, message) {
+    const eventId = String(this.nextEventId++);
+    this.events.set(eventId, { streamId, message });
+    let eventIds = this.streams.get(streamId);
+    if (!eventIds) {
+      eventIds = [];
+      this.streams.set(streamId, eventIds);
+    }
+    eventIds.push(eventId);
+
+    // Forget the oldest events, and streams with none left
+    for (const [oldestId, oldest] of this.events) {
+      if (this.events.size <= this.maxEvents) break;
+      this.events.delete(oldestId);
+      const oldestStream = this.streams.get(oldest.streamId);
+      oldestStream.shift();
+      if (oldestStream.length === 0) {
+        this.streams.delete(oldest.streamId);
+      }
+    }
+    return eventId;
+  }
+
+  /**
+   * Send the events stored after `lastEventId` on its stream, and return that
+   * stream's id. An unknown (or no longer kept) event id replays nothing.
+   */
+  async replayEventsAfter(lastEventId, { send }) {
+    const event = this.events.get(lastEventId);
+    if (!event) {
+      return '';
+    }
+
+    const eventIds = this.streams.get(event.streamId);
+    for (const eventId of eventIds.slice(eventIds.indexOf(lastEventId) + 1)) {
+      await send(eventId, this.events.get(eventId).message);
+    }
+    return event.streamId;
+  }
+}
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * Write the OpenAPI document for the HTTP server without starting it, e.g. to
+ * generate a client SDK offline. The running server serves the same document at
+ * /openapi.json.
+ *
+ * Usage: npm run openapi [-- --server https://example.com] [-- --out openapi.json]
+ * Prints the document unless --out is given.
+ */
+
+import { writeFileSync } from 'fs';
+import { buildOpenApiDocument } from './openapi.js';
+
+// Helper to read the value following a command-line flag
+function option(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+const document = JSON.stringify(buildOpenApiDocument({ serverUrl: option('--server') }), null, 2);
+const out = option('--out');
+
+if (out) {
+  writeFileSync(out, `${document}\n`);
+  console.error(`Wrote ${out}`);
+} else {
+  console.log(document);
+}
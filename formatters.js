@@ -0,0 +1,243 @@
+/**
+ * Markdown rendering of knowledge base content, shared by the tools, resources
+ * and prompts of both servers (index.js and server-http.js)
+ */
+
+// Helper function to strip HTML tags
+export function stripHtml(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .trim();
+}
+
+// Helper to format episode for display
+export function formatEpisode(dataLoader, episode, includeNotes = false) {
+  const host = dataLoader.getHost(episode.hostid);
+  const seriesInfo = episode.series !== 0 ? dataLoader.getSeries(episode.series) : null;
+  const transcriptHeader = dataLoader.getTranscriptHeader(episode.id);
+
+  let result = `# HPR${String(episode.id).padStart(4, '0')}: ${episode.title}`;
+
+  // Add match type indicator for fuzzy matches
+  if (episode.matchType === 'fuzzy') {
+    result += ` *(fuzzy match, distance: ${episode.matchDistance})*`;
+  }
+
+  // Add relevance score for ranked matches
+  if (typeof episode.score === 'number') {
+    result += ` *(relevance: ${episode.score.toFixed(2)})*`;
+  }
+
+  result += `
+
+**Date:** ${episode.date}
+**Host:** ${host?.host || 'Unknown'} (ID: ${episode.hostid})
+**Duration:** ${Math.floor(episode.duration / 60)}:${String(episode.duration % 60).padStart(2, '0')}
+**Tags:** ${episode.tags}
+**License:** ${episode.license}
+**Downloads:** ${episode.downloads}${formatTranscriptHeader(transcriptHeader)}
+
+## Summary
+${episode.summary}`;
+
+  if (seriesInfo) {
+    result += `\n\n## Series
+**${seriesInfo.name}**: ${stripHtml(seriesInfo.description)}`;
+  }
+
+  if (includeNotes && episode.notes) {
+    result += `\n\n## Host Notes\n${stripHtml(episode.notes)}`;
+  }
+
+  return result;
+}
+
+// Helper to format the audio source and transcription date from a transcript header
+export function formatTranscriptHeader(header) {
+  let text = '';
+  if (header?.source) {
+    text += `\n**Audio:** ${header.source}`;
+  }
+  if (header?.transcribed) {
+    text += `\n**Transcribed:** ${header.transcribed}`;
+  }
+  return text;
+}
+
+// Helper to list the transcripts added, changed or removed since the previous load
+export function formatTranscriptChanges(changes) {
+  if (!changes?.since) {
+    return '';
+  }
+
+  const episodeList = (ids) => {
+    const listed = ids.slice(0, 20).map(id => `HPR${String(id).padStart(4, '0')}`).join(', ');
+    return ids.length > 20 ? `${listed} and ${ids.length - 20} more` : listed;
+  };
+
+  let text = `\n**New Transcripts Since ${changes.since}:** ${changes.added.length > 0 ? episodeList(changes.added) : 'none'}`;
+  if (changes.changed.length > 0) {
+    text += `\n**Updated Transcripts:** ${episodeList(changes.changed)}`;
+  }
+  if (changes.removed.length > 0) {
+    text += `\n**Removed Transcripts:** ${episodeList(changes.removed)}`;
+  }
+  return text;
+}
+
+// Helper to format community comments on an episode
+export function formatComments(comments) {
+  return comments.map(c =>
+    `**${c.comment_author_name}** (${c.comment_timestamp})${c.comment_title ? ` - ${c.comment_title}` : ''}\n${c.comment_text}`
+  ).join('\n\n---\n\n');
+}
+
+// Helper to format "did you mean" suggestions for an empty search result
+export function formatSuggestions(suggestions) {
+  if (suggestions.length === 0) {
+    return '';
+  }
+  return `\n\nDid you mean: ${suggestions.map(suggestion => `"${suggestion}"`).join(', ')}?`;
+}
+
+// Helper to format facet counts across all matching episodes
+export function formatFacets(facets, total) {
+  const sections = [
+    ['Hosts', facets.host.map(f => `${f.label} (hostId ${f.value}): ${f.count}`)],
+    ['Series', facets.series.map(f => `${f.label} (seriesId ${f.value}): ${f.count}`)],
+    ['Years', facets.year.map(f => `${f.value}: ${f.count}`)],
+    ['Tags', facets.tag.map(f => `${f.value}: ${f.count}`)],
+    ['Licenses', facets.license.map(f => `${f.value}: ${f.count}`)],
+  ].filter(([, values]) => values.length > 0);
+
+  return `\n\n---\n\n## Facets (across all ${total} matching episodes)\n\n` +
+    sections.map(([name, values]) => `**${name}:** ${values.join(', ')}`).join('\n');
+}
+
+// Helper to describe which page of results is shown and how to get the next one
+export function formatPageInfo(page, resourceUri = null) {
+  if (page.offset === 0 && !page.nextCursor) {
+    return '';
+  }
+
+  let text = page.items.length > 0
+    ? `\n\n---\n\n**Showing:** ${page.offset + 1}-${page.offset + page.items.length} of ${page.total}`
+    : `\n\n---\n\n**Showing:** nothing more (${page.total} in total)`;
+  if (page.nextCursor) {
+    text += resourceUri
+      ? `\n**Next page:** ${resourceUri}?cursor=${page.nextCursor}`
+      : `\n**Next cursor:** ${page.nextCursor} (pass it as \`cursor\` with the same arguments to get the next page)`;
+  }
+  return text;
+}
+
+// Helper to expose the next cursor to clients that read result metadata
+export function pageMeta(page) {
+  return page.nextCursor ? { _meta: { nextCursor: page.nextCursor } } : {};
+}
+
+// Helper to render transcript search results, with a summary line per episode
+// followed by each episode's matches in context
+export function formatTranscriptSearchResults(dataLoader, results, args, total = results.length) {
+  if (results.length === 0) {
+    return '';
+  }
+
+  const firstSummary = results[0]?.matchSummary || {};
+  const matchMode = firstSummary.matchMode || 'phrase';
+
+  const descriptorParts = [];
+  if (args.query) {
+    descriptorParts.push(`${matchMode === 'query' ? 'query' : 'phrase'}="${args.query}"`);
+  }
+  if (Array.isArray(args.terms) && args.terms.length > 0) {
+    descriptorParts.push(`terms=[${args.terms.join(', ')}]`);
+  }
+  if (descriptorParts.length === 0) {
+    descriptorParts.push('"no explicit query provided"');
+  }
+
+  const contextLines = args.contextLines ?? 3;
+  const caseSensitive = args.caseSensitive ? 'yes' : 'no';
+  const wholeWord = args.wholeWord ? 'yes' : 'no';
+  const maxMatches = args.maxMatchesPerEpisode ?? 5;
+  const hostFilters = [];
+  if (args.hostId) hostFilters.push(`ID ${args.hostId}`);
+  if (args.hostName) hostFilters.push(`name "${args.hostName}"`);
+
+  let text = `# Transcript Search Results (${results.length} of ${total} matching episodes, ranked by relevance)\n\n`;
+  text += `Searching for: ${descriptorParts.join(' | ')}\n`;
+  text += `Match mode: ${matchMode} | Context lines: ${contextLines} | Case sensitive: ${caseSensitive} | Whole word: ${wholeWord}\n`;
+  text += `Maximum matches per episode: ${maxMatches}\n`;
+  if (args.withinWords) {
+    text += `Proximity: all terms within ${args.withinWords} words\n`;
+  }
+  if (hostFilters.length > 0) {
+    text += `Host filter: ${hostFilters.join(' & ')}\n`;
+  }
+  text += '\n## Summary\n';
+
+  text += results.map(result => {
+    const host = dataLoader.getHost(result.episode.hostid);
+    const matchedTerms = result.matchSummary.matchedTerms.length > 0
+      ? result.matchSummary.matchedTerms.join(', ')
+      : 'N/A';
+    const termCounts = Object.entries(result.matchSummary.termHitCounts || {});
+    const termCountText = termCounts.length > 0
+      ? termCounts.map(([term, count]) => `${term}: ${count}`).join(', ')
+      : null;
+    const truncatedNote = result.matchSummary.truncated ? ' (truncated)' : '';
+    const proximityNote = result.matchSummary.proximityHits > 0
+      ? `, ${result.matchSummary.proximityHits} within word window`
+      : '';
+    let line = `- HPR${String(result.episode.id).padStart(4, '0')}: ${result.episode.title} — ${result.matchSummary.totalMatches} match${result.matchSummary.totalMatches === 1 ? '' : 'es'}${truncatedNote}${proximityNote}; terms: ${matchedTerms}`;
+    if (termCountText) {
+      line += ` (${termCountText})`;
+    }
+    line += ` | Host: ${host?.host || 'Unknown'} (${result.episode.date})`;
+    return line;
+  }).join('\n');
+
+  text += '\n\n';
+
+  results.forEach(result => {
+    const host = dataLoader.getHost(result.episode.hostid);
+    const matchedTerms = result.matchSummary.matchedTerms.length > 0
+      ? result.matchSummary.matchedTerms.join(', ')
+      : 'N/A';
+    const termCounts = Object.entries(result.matchSummary.termHitCounts || {});
+    const termCountText = termCounts.length > 0
+      ? termCounts.map(([term, count]) => `${term}: ${count}`).join(', ')
+      : null;
+
+    text += `## HPR${String(result.episode.id).padStart(4, '0')}: ${result.episode.title}
+**Host:** ${host?.host || 'Unknown'} | **Date:** ${result.episode.date} | **Relevance:** ${result.score.toFixed(2)}${formatTranscriptHeader(dataLoader.getTranscriptHeader(result.episode.id))}
+**Matched terms:** ${matchedTerms}
+**Matches captured:** ${result.matchSummary.totalMatches}${result.matchSummary.truncated ? ' (additional matches omitted after reaching limit)' : ''}
+`;
+    if (termCountText) {
+      text += `**Term counts:** ${termCountText}\n`;
+    }
+    text += '\n';
+
+    result.matches.forEach((match, index) => {
+      const termInfo = match.terms && match.terms.length > 0
+        ? ` | terms: ${match.terms.join(', ')}`
+        : '';
+      const windowInfo = match.window ? ` | window: "${match.window}"` : '';
+      text += `### Match ${index + 1} (line ${match.lineNumber}${termInfo}${windowInfo})
+\`\`\`
+${match.context}
+\`\`\`
+
+`;
+    });
+  });
+
+  return text;
+}
@@ -0,0 +1,343 @@
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join, extname, basename } from 'path';
+import { SCHEMAS } from './validation.js';
+
+/**
+ * Readers for the HPR site's database dumps (a MySQL SQL dump, or CSV/JSON
+ * table exports) that turn them into the records HPRDataLoader expects.
+ */
+
+// Table names used by the HPR site's database for each collection
+export const TABLE_NAMES = {
+  episodes: ['eps', 'episodes'],
+  hosts: ['hosts'],
+  comments: ['comments'],
+  series: ['miniseries', 'series'],
+};
+
+// Every field of each collection, in the order written to hpr_metadata/*.json
+export const RECORD_FIELDS = {
+  episodes: {
+    id: 'integer', date: 'date', title: 'string', duration: 'integer', summary: 'string', notes: 'string',
+    hostid: 'integer', series: 'integer', explicit: 'integer', license: 'string', tags: 'string',
+    version: 'integer', downloads: 'integer', valid: 'integer',
+  },
+  hosts: {
+    hostid: 'integer', host: 'string', email: 'string', profile: 'string', license: 'string',
+    local_image: 'integer', gpg: 'string', valid: 'integer', espeak_name: 'string',
+  },
+  comments: {
+    id: 'integer', eps_id: 'integer', comment_timestamp: 'string', comment_author_name: 'string',
+    comment_title: 'string', comment_text: 'string', last_changed: 'string',
+  },
+  series: {
+    id: 'integer', name: 'string', description: 'string', private: 'integer', image: 'string', valid: 'integer',
+  },
+};
+
+const SQL_ESCAPES = { 0: '\0', b: '\b', n: '\n', r: '\r', t: '\t', Z: '\x1a' };
+
+/**
+ * Split SQL text into statements, skipping comments and respecting quoted strings
+ */
+function* sqlStatements(sql) {
+  let start = 0;
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (char === "'" || char === '"' || char === '`') {
+      i++;
+      while (i < sql.length && sql[i] !== char) {
+        i += sql[i] === '\\' && char !== '`' ? 2 : 1;
+      }
+      i++;
+    } else if (char === '-' && sql[i + 1] === '-' || char === '#') {
+      const end = sql.indexOf('\n', i);
+      if (sql.slice(start, i).trim() === '') start = end === -1 ? sql.length : end + 1;
+      i = end === -1 ? sql.length : end + 1;
+    } else if (char === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      if (sql.slice(start, i).trim() === '') start = end === -1 ? sql.length : end + 2;
+      i = end === -1 ? sql.length : end + 2;
+    } else if (char === ';') {
+      const statement = sql.slice(start, i).trim();
+      if (statement) yield statement;
+      start = ++i;
+    } else {
+      i++;
+    }
+  }
+
+  const statement = sql.slice(start).trim();
+  if (statement) yield statement;
+}
+
+function unquoteIdentifier(name) {
+  return name.trim().replace(/^[`"[]|[`"\]]$/g, '');
+}
+
+/**
+ * Parse the value tuples of an INSERT statement, e.g. "(1,'a\'b',NULL),(2,'c',3)"
+ */
+function parseTuples(text) {
+  const rows = [];
+  let row = null;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '(') {
+      row = [];
+      i++;
+    } else if (char === ')') {
+      rows.push(row);
+      row = null;
+      i++;
+    } else if (char === "'" || char === '"') {
+      let value = '';
+      i++;
+      while (i < text.length) {
+        if (text[i] === '\\') {
+          value += SQL_ESCAPES[text[i + 1]] ?? text[i + 1];
+          i += 2;
+        } else if (text[i] === char && text[i + 1] === char) {
+          value += char;
+          i += 2;
+        } else if (text[i] === char) {
+          break;
+        } else {
+          value += text[i++];
+        }
+      }
+      row.push(value);
+      i++;
+    } else if (row && /[^\s,]/.test(char)) {
+      const token = text.slice(i).match(/^[^,)\s]+/)[0];
+      // Skip character set introducers such as _binary 'abc'
+      if (!/^_\w+$/.test(token)) {
+        row.push(/^null$/i.test(token) ? null : Number.isNaN(Number(token)) ? token : Number(token));
+      }
+      i += token.length;
+    } else {
+      i++;
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Read the tables of a MySQL dump as a Map of table name to rows (objects keyed
+ * by column name). Column names come from the INSERT column list if present,
+ * otherwise from the table's CREATE TABLE statement.
+ */
+export function parseSqlDump(sql) {
+  const columnsByTable = new Map();
+  const tables = new Map();
+
+  for (const statement of sqlStatements(sql)) {
+    const create = statement.match(/^CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?([`"\w.]+)\s*\(([\s\S]*)\)/i);
+    if (create) {
+      const columns = create[2].split(/,\s*\n/)
+        .map(line => line.trim())
+        .filter(line => /^[`"]?\w+[`"]?\s/.test(line) && !/^(PRIMARY|UNIQUE|KEY|INDEX|CONSTRAINT|FULLTEXT|FOREIGN|CHECK)\b/i.test(line))
+        .map(line => unquoteIdentifier(line.split(/\s/)[0]));
+      columnsByTable.set(unquoteIdentifier(create[1].split('.').pop()), columns);
+      continue;
+    }
+
+    const insert = statement.match(/^(?:INSERT|REPLACE)\s+(?:IGNORE\s+)?INTO\s+([`"\w.]+)\s*(?:\(([^)]*)\))?\s*VALUES\s*/i);
+    if (insert) {
+      const table = unquoteIdentifier(insert[1].split('.').pop());
+      const columns = insert[2] ? insert[2].split(',').map(unquoteIdentifier) : columnsByTable.get(table);
+      if (!columns) {
+        throw new Error(`INSERT INTO ${table} has no column list and no CREATE TABLE before it`);
+      }
+
+      const rows = tables.get(table) || [];
+      for (const values of parseTuples(statement.slice(insert[0].length))) {
+        rows.push(Object.fromEntries(columns.map((column, index) => [column, values[index]])));
+      }
+      tables.set(table, rows);
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ */
+export function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(values => values.some(value => value !== ''));
+  return records.map(values => Object.fromEntries(header.map((column, index) => [column.trim(), values[index]])));
+}
+
+/**
+ * Read the records of a JSON export: either an array of records, or a
+ * phpMyAdmin export (an array of { type: 'table', name, data } entries).
+ * Returns a Map of table name to rows; plain arrays are keyed by `defaultTable`.
+ */
+export function parseJsonExport(text, defaultTable) {
+  const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  if (!Array.isArray(data)) {
+    throw new Error('expected a JSON array');
+  }
+
+  const tableEntries = data.filter(entry => entry?.type === 'table' && Array.isArray(entry.data));
+  if (tableEntries.length > 0) {
+    return new Map(tableEntries.map(entry => [entry.name, entry.data]));
+  }
+  return new Map([[defaultTable, data]]);
+}
+
+/**
+ * Read a dump: a .sql file, a .json export, or a directory of per-table .csv or
+ * .json files (e.g. eps.csv, hosts.csv). Returns a Map of table name to rows.
+ */
+export function readDump(source) {
+  if (statSync(source).isDirectory()) {
+    const tables = new Map();
+    for (const file of readdirSync(source)) {
+      const extension = extname(file).toLowerCase();
+      const table = basename(file, extname(file));
+      const text = readFileSync(join(source, file), 'utf-8');
+      if (extension === '.csv') {
+        tables.set(table, parseCsv(text));
+      } else if (extension === '.json') {
+        for (const [name, rows] of parseJsonExport(text, table)) tables.set(name, rows);
+      } else if (extension === '.sql') {
+        for (const [name, rows] of parseSqlDump(text)) tables.set(name, rows);
+      }
+    }
+    return tables;
+  }
+
+  const text = readFileSync(source, 'utf-8');
+  switch (extname(source).toLowerCase()) {
+    case '.sql':
+      return parseSqlDump(text);
+    case '.json':
+      return parseJsonExport(text, basename(source, '.json'));
+    case '.csv':
+      return new Map([[basename(source, '.csv'), parseCsv(text)]]);
+    default:
+      throw new Error(`Don't know how to read ${source} (expected a .sql, .json or .csv file, or a directory of them)`);
+  }
+}
+
+/**
+ * Convert a dumped value to a field's type. Integers that cannot be parsed
+ * become null, so validation reports them.
+ */
+function normalizeValue(value, type) {
+  const missing = value === undefined || value === null || value === '\\N' || value === 'NULL';
+  if (type === 'integer') {
+    if (missing || value === '') return null;
+    const number = Number(value);
+    return Number.isInteger(number) ? number : null;
+  }
+  if (missing) return '';
+  const text = String(value);
+  return type === 'date' && /^\d{4}-\d{2}-\d{2}[ T]/.test(text) ? text.slice(0, 10) : text;
+}
+
+/**
+ * Records for each collection found in the dump's tables, with exactly the
+ * fields and types HPRDataLoader expects, sorted by id.
+ * Returns { episodes, hosts, comments, series }, with null for collections the
+ * dump does not contain.
+ */
+export function normalizeDump(tables) {
+  const collections = {};
+
+  for (const [collection, fields] of Object.entries(RECORD_FIELDS)) {
+    const table = TABLE_NAMES[collection].find(name => tables.has(name));
+    if (!table) {
+      collections[collection] = null;
+      continue;
+    }
+
+    const { idField } = SCHEMAS[collection];
+    collections[collection] = tables.get(table)
+      .map(row => Object.fromEntries(Object.entries(fields).map(([field, type]) => [field, normalizeValue(row[field], type)])))
+      .sort((a, b) => (a[idField] ?? Infinity) - (b[idField] ?? Infinity));
+  }
+
+  return collections;
+}
+
+/**
+ * Compare new records with the current ones by id.
+ * Returns { added, removed, changed } where added and removed are lists of ids
+ * and changed is a list of { id, fields } naming the fields that differ.
+ */
+export function diffRecords(current, next, idField) {
+  const currentById = new Map(current.map(record => [record[idField], record]));
+  const nextIds = new Set(next.map(record => record[idField]));
+  const added = [];
+  const changed = [];
+
+  for (const record of next) {
+    const existing = currentById.get(record[idField]);
+    if (!existing) {
+      added.push(record[idField]);
+      continue;
+    }
+    const fields = [...new Set([...Object.keys(existing), ...Object.keys(record)])]
+      .filter(field => JSON.stringify(existing[field]) !== JSON.stringify(record[field]));
+    if (fields.length > 0) {
+      changed.push({ id: record[idField], fields });
+    }
+  }
+
+  const removed = current.map(record => record[idField]).filter(id => !nextIds.has(id));
+  return { added, removed, changed };
+}
+
+/**
+ * Serialise records the way the hpr_metadata files are laid out: one JSON object per line
+ */
+export function formatRecords(records) {
+  return `[${records.map(record => JSON.stringify(record)).join(',\n')}]\n`;
+}
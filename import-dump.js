@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Import the HPR site's database into hpr_metadata/: reads a MySQL dump (e.g.
+ * hpr.sql) or CSV/JSON table exports, writes normalised episodes.json,
+ * hosts.json, comments.json and series.json, and reports the records added,
+ * changed and removed compared with the current files.
+ *
+ * Usage: npm run import:dump -- <hpr.sql | export.json | directory> [--dry-run]
+ */
+
+import { writeFileSync, renameSync } from 'fs';
+import { join } from 'path';
+import { readDump, normalizeDump, diffRecords, formatRecords } from './hpr-dump.js';
+import { JsonStorage } from './storage.js';
+import { SCHEMAS } from './validation.js';
+
+// Ids listed per kind of change before summarising the rest
+const LISTED_IDS = 10;
+
+function listIds(ids) {
+  const listed = ids.slice(0, LISTED_IDS).join(', ');
+  return ids.length > LISTED_IDS ? `${listed} and ${ids.length - LISTED_IDS} more` : listed;
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const source = args.find(arg => !arg.startsWith('--'));
+
+if (!source) {
+  console.error('Usage: npm run import:dump -- <hpr.sql | export.json | directory> [--dry-run]');
+  process.exit(1);
+}
+
+let collections;
+try {
+  collections = normalizeDump(readDump(source));
+} catch (error) {
+  console.error(`❌ Could not read ${source}: ${error.message}`);
+  process.exit(1);
+}
+
+if (Object.values(collections).every(records => records === null)) {
+  console.error(`❌ No eps, hosts, comments or miniseries tables found in ${source}`);
+  process.exit(1);
+}
+
+const storage = new JsonStorage();
+
+for (const [collection, records] of Object.entries(collections)) {
+  const file = storage.source(collection);
+  if (records === null) {
+    console.log(`${file}: not in the dump, left unchanged`);
+    continue;
+  }
+
+  let current = [];
+  try {
+    current = storage.loadRecords(collection);
+  } catch (error) {
+    console.log(`${file}: no current records (${error.message})`);
+  }
+
+  const { added, removed, changed } = diffRecords(current, records, SCHEMAS[collection].idField);
+  console.log(`${file}: ${records.length} records (${added.length} added, ${changed.length} changed, ${removed.length} removed)`);
+  if (added.length > 0) console.log(`  added: ${listIds(added)}`);
+  if (changed.length > 0) {
+    const fieldCounts = new Map();
+    changed.forEach(change => change.fields.forEach(field => fieldCounts.set(field, (fieldCounts.get(field) || 0) + 1)));
+    console.log(`  changed: ${listIds(changed.map(change => change.id))}`);
+    console.log(`  changed fields: ${[...fieldCounts].map(([field, count]) => `${field} (${count})`).join(', ')}`);
+  }
+  if (removed.length > 0) console.log(`  removed: ${listIds(removed)}`);
+
+  if (!dryRun && (added.length > 0 || changed.length > 0 || removed.length > 0)) {
+    // Write then rename, so a running server never reloads a half-written file
+    const filePath = join(storage.root, file);
+    writeFileSync(`${filePath}.tmp`, formatRecords(records));
+    renameSync(`${filePath}.tmp`, filePath);
+  }
+}
+
+console.log(dryRun
+  ? '\nDry run: no files written'
+  : '\n✅ Import complete. Run npm run validate to check the data.');
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+/**
+ * Build a SQLite database of the whole knowledge base from hpr_metadata/ and
+ * hpr_transcripts/, for HPR_STORAGE=sqlite or for querying with other tools.
+ *
+ * Usage: npm run import:sqlite [-- path/to/hpr.db]
+ * Writes hpr.db (or HPR_SQLITE_PATH) by default.
+ */
+
+import { resolve } from 'path';
+import HPRDataLoader from './data-loader.js';
+import { writeSqliteDatabase } from './sqlite-storage.js';
+import { DEFAULT_SQLITE_PATH } from './storage.js';
+
+const dataLoader = new HPRDataLoader({ storage: 'json', transcriptStorage: 'lazy' });
+const dbPath = resolve(process.argv[2] || process.env.HPR_SQLITE_PATH || DEFAULT_SQLITE_PATH);
+
+dataLoader.loadMetadata();
+dataLoader.loadTranscripts({ buildIndex: false });
+
+if (dataLoader.loadErrors.length > 0) {
+  console.error(`\n❌ Not importing: ${dataLoader.loadErrors.length} files failed to load`);
+  process.exit(1);
+}
+
+const started = Date.now();
+const counts = writeSqliteDatabase(dataLoader, dbPath);
+
+console.log(`\n✅ Wrote ${dbPath} in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+console.log(Object.entries(counts).map(([table, count]) => `  ${table}: ${count}`).join('\n'));
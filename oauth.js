@@ -0,0 +1,283 @@
+import { constants, createPublicKey, verify } from 'crypto';
+import { readFileSync } from 'fs';
+
+/**
+ * OAuth 2.1 resource server for the HTTP server, as the MCP authorization spec
+ * asks of an MCP server: it publishes protected resource metadata (RFC 9728)
+ * naming its authorization server, and accepts JWT access tokens (RFC 9068)
+ * signed by that server, issued for this server (the `aud` claim, RFC 8707) and
+ * carrying the required scopes. The signing keys come from a local JWKS file,
+ * or from the authorization server's jwks_uri found through its metadata.
+ */
+
+const KEY_REFRESH_INTERVAL_MS = 60000; // least time between fetches of the JWKS, failed or not
+const KEY_FETCH_TIMEOUT_MS = 10000; // how long each request to the authorization server may take
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// Signature algorithms accepted, and how to check them with crypto.verify()
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: constants.RSA_PSS_SALTLEN_DIGEST },
+  PS384: { hash: 'sha384', padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: constants.RSA_PSS_SALTLEN_DIGEST },
+  PS512: { hash: 'sha512', padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: constants.RSA_PSS_SALTLEN_DIGEST },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null },
+};
+
+/**
+ * A token that was rejected. `code` is the OAuth error code for the
+ * WWW-Authenticate header: invalid_token (401) or insufficient_scope (403).
+ */
+export class OAuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OAuthError';
+    this.code = code;
+    this.status = code === 'insufficient_scope' ? 403 : 401;
+  }
+}
+
+// URLs name the same resource with or without a trailing slash
+const canonicalUrl = (url) => String(url).replace(/\/+$/, '');
+
+// Helper to decode a token's header or payload, which must be a JSON object
+function decodeSegment(segment, what) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new OAuthError('invalid_token', `Malformed token ${what}`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new OAuthError('invalid_token', `Malformed token ${what}`);
+  }
+  return value;
+}
+
+export class OAuthResourceServer {
+  /**
+   * `resource` is this server's canonical URL and `issuer` its authorization
+   * server. `jwks` is a JWK Set to use instead of fetching the issuer's.
+   */
+  constructor({ resource, issuer, jwks = null, requiredScopes = [], fetch = globalThis.fetch, now = () => Date.now() }) {
+    if (!resource || !issuer) {
+      throw new Error('OAuth needs the resource URL and the authorization server (issuer) URL');
+    }
+    this.resource = canonicalUrl(new URL(resource).href);
+    this.issuer = issuer;
+    this.requiredScopes = requiredScopes;
+    this.fetch = fetch;
+    this.now = now;
+
+    this.localKeys = jwks !== null;
+    this.keys = jwks ? this.importKeys(jwks) : [];
+    this.keysRequestedAt = 0; // when the keys were last fetched, or tried to be
+    this.keysError = null; // why the last fetch failed, if it did
+    this.keysRequest = null;
+  }
+
+  /**
+   * Resource server configured from the environment, or null if OAuth is off:
+   *   HPR_OAUTH_ISSUER      authorization server that issues tokens (turns OAuth on)
+   *   HPR_OAUTH_JWKS_FILE   JWK Set to verify tokens with (default: fetched from the issuer)
+   *   HPR_OAUTH_RESOURCE    canonical URL of this server (default: `defaultResource`)
+   *   HPR_OAUTH_SCOPES      scopes every token needs, space- or comma-separated
+   */
+  static fromEnvironment(env = process.env, { defaultResource } = {}) {
+    if (!env.HPR_OAUTH_ISSUER) {
+      if (env.HPR_OAUTH_JWKS_FILE) {
+        throw new Error('HPR_OAUTH_JWKS_FILE is set but HPR_OAUTH_ISSUER is not');
+      }
+      return null;
+    }
+
+    let jwks = null;
+    if (env.HPR_OAUTH_JWKS_FILE) {
+      try {
+        jwks = JSON.parse(readFileSync(env.HPR_OAUTH_JWKS_FILE, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to read the JWK Set ${env.HPR_OAUTH_JWKS_FILE}: ${error.message}`);
+      }
+    }
+
+    return new OAuthResourceServer({
+      resource: env.HPR_OAUTH_RESOURCE || defaultResource,
+      issuer: env.HPR_OAUTH_ISSUER,
+      jwks,
+      requiredScopes: (env.HPR_OAUTH_SCOPES || '').split(/[\s,]+/).filter(Boolean),
+    });
+  }
+
+  /**
+   * Protected resource metadata (RFC 9728)
+   */
+  get metadata() {
+    return {
+      resource: this.resource,
+      authorization_servers: [this.issuer],
+      bearer_methods_supported: ['header'],
+      ...(this.requiredScopes.length > 0 ? { scopes_supported: this.requiredScopes } : {}),
+      resource_name: 'HPR Knowledge Base',
+    };
+  }
+
+  /**
+   * Where the metadata is served: /.well-known/oauth-protected-resource
+   * followed by the resource URL's path
+   */
+  get metadataUrl() {
+    const url = new URL(this.resource);
+    const path = url.pathname === '/' ? '' : url.pathname;
+    return `${url.origin}/.well-known/oauth-protected-resource${path}`;
+  }
+
+  /**
+   * WWW-Authenticate header for a request without a valid token, pointing
+   * clients at the metadata
+   */
+  challenge(error = null) {
+    const params = [];
+    if (error) {
+      params.push(`error="${error.code}"`, `error_description="${error.message.replace(/["\\]/g, '')}"`);
+      if (error.code === 'insufficient_scope') params.push(`scope="${this.requiredScopes.join(' ')}"`);
+    }
+    params.push(`resource_metadata="${this.metadataUrl}"`);
+    return `Bearer ${params.join(', ')}`;
+  }
+
+  importKeys(jwks) {
+    if (!Array.isArray(jwks?.keys)) {
+      throw new Error('A JWK Set needs a "keys" array');
+    }
+    return jwks.keys
+      .filter(jwk => !jwk.use || jwk.use === 'sig')
+      .map(jwk => ({ kid: jwk.kid, alg: jwk.alg, kty: jwk.kty, key: createPublicKey({ key: jwk, format: 'jwk' }) }));
+  }
+
+  // Fetch the issuer's signing keys, found through its metadata (RFC 8414, or
+  // OpenID Connect discovery). Concurrent callers share one request.
+  async refreshKeys() {
+    if (!this.keysRequest) {
+      // Count the attempt rather than a success, so an issuer that is down is not
+      // asked again for every token
+      this.keysRequestedAt = this.now();
+      const request = (url) => this.fetch(url, { signal: AbortSignal.timeout(KEY_FETCH_TIMEOUT_MS) });
+      this.keysRequest = (async () => {
+        const issuer = canonicalUrl(this.issuer);
+        let metadata = null;
+        for (const url of [`${issuer}/.well-known/oauth-authorization-server`, `${issuer}/.well-known/openid-configuration`]) {
+          const response = await request(url);
+          if (response.ok) {
+            metadata = await response.json();
+            break;
+          }
+        }
+        if (!metadata?.jwks_uri) {
+          throw new Error(`The authorization server ${this.issuer} publishes no jwks_uri`);
+        }
+
+        const response = await request(metadata.jwks_uri);
+        if (!response.ok) {
+          throw new Error(`Failed to fetch ${metadata.jwks_uri}: HTTP ${response.status}`);
+        }
+        this.keys = this.importKeys(await response.json());
+        this.keysError = null;
+      })().catch((error) => {
+        this.keysError = error;
+        throw error;
+      }).finally(() => {
+        this.keysRequest = null;
+      });
+    }
+    return this.keysRequest;
+  }
+
+  async findKey(header) {
+    const matches = () => this.keys.filter(key =>
+      (header.kid === undefined || key.kid === header.kid) && (!key.alg || key.alg === header.alg));
+
+    // A key that isn't known yet may be new, so fetch the keys again (but not too often)
+    if (!this.localKeys && matches().length === 0) {
+      if (this.keysRequest || this.now() - this.keysRequestedAt >= KEY_REFRESH_INTERVAL_MS) {
+        await this.refreshKeys();
+      } else if (this.keys.length === 0 && this.keysError) {
+        // No keys to check tokens with until the issuer answers again
+        throw this.keysError;
+      }
+    }
+    return matches();
+  }
+
+  /**
+   * Check an access token. Returns { subject, clientId, scopes, expiresAt }, or
+   * throws an OAuthError if the token is not acceptable.
+   */
+  async verifyAccessToken(token) {
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      throw new OAuthError('invalid_token', 'Malformed token');
+    }
+    const [headerSegment, payloadSegment, signatureSegment] = segments;
+    const header = decodeSegment(headerSegment, 'header');
+    const claims = decodeSegment(payloadSegment, 'payload');
+
+    // JWT access tokens are typed, so that ID tokens from the same issuer are not
+    // taken for them (RFC 9068 section 4)
+    if (!/^(application\/)?at\+jwt$/i.test(header.typ ?? '')) {
+      throw new OAuthError('invalid_token', 'Not a JWT access token (typ must be "at+jwt")');
+    }
+
+    const algorithm = Object.hasOwn(ALGORITHMS, header.alg) ? ALGORITHMS[header.alg] : null;
+    if (!algorithm) {
+      throw new OAuthError('invalid_token', `Unsupported signing algorithm ${header.alg}`);
+    }
+    const keys = await this.findKey(header);
+    const data = Buffer.from(`${headerSegment}.${payloadSegment}`);
+    const signature = Buffer.from(signatureSegment, 'base64url');
+    const { hash, ...options } = algorithm;
+    const signed = keys.some(({ key }) => {
+      try {
+        return verify(hash, data, { key, ...options }, signature);
+      } catch {
+        return false; // a key of another type
+      }
+    });
+    if (!signed) {
+      throw new OAuthError('invalid_token', 'Invalid token signature');
+    }
+
+    const now = this.now() / 1000;
+    if (canonicalUrl(claims.iss || '') !== canonicalUrl(this.issuer)) {
+      throw new OAuthError('invalid_token', 'Token was not issued by the expected authorization server');
+    }
+    const audiences = [claims.aud ?? []].flat().map(canonicalUrl);
+    if (!audiences.includes(this.resource)) {
+      throw new OAuthError('invalid_token', 'Token was not issued for this server');
+    }
+    if (typeof claims.exp !== 'number') {
+      throw new OAuthError('invalid_token', 'Token has no expiration time');
+    }
+    if (claims.exp + CLOCK_TOLERANCE_SECONDS < now) {
+      throw new OAuthError('invalid_token', 'Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+      throw new OAuthError('invalid_token', 'Token is not valid yet');
+    }
+
+    const scopes = typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : [claims.scp ?? []].flat();
+    if (!this.requiredScopes.every(scope => scopes.includes(scope))) {
+      throw new OAuthError('insufficient_scope', 'Token lacks a required scope');
+    }
+
+    return {
+      subject: claims.sub ?? null,
+      clientId: claims.client_id ?? claims.azp ?? null,
+      scopes,
+      expiresAt: claims.exp,
+    };
+  }
+}
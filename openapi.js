@@ -0,0 +1,156 @@
+import { readFileSync } from 'fs';
+import { TOOL_DEFINITIONS } from './tool-definitions.js';
+import { REST_ROUTES } from './rest-api.js';
+
+/**
+ * OpenAPI 3.1 document for the HTTP server, built from the tool definitions and
+ * the REST routes: each /api/v1 operation's parameters are documented by the
+ * input schema of the tool it mirrors, and its response by the tool's output
+ * schema. The tools' own schemas are included under components.schemas.
+ */
+
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: { type: 'string', description: 'HTTP status text, e.g. "Not Found"' },
+    message: { type: 'string' },
+  },
+  required: ['error', 'message'],
+};
+
+// Helper to describe a route parameter with its tool argument's schema
+function routeParameter(route, tool, name, param) {
+  const { arg, description: override, ...extra } = typeof param === 'string' ? { arg: param } : param;
+  const property = tool.inputSchema.properties[arg];
+  if (!property) {
+    throw new Error(`${route.path}: ${tool.name} has no argument ${arg}`);
+  }
+
+  const { description, ...schema } = property;
+  // Numbers are always whole (ids, counts and limits), and parsed as such
+  if (schema.type === 'number') schema.type = 'integer';
+
+  const inPath = route.path.includes(`{${name}}`);
+  const parameter = {
+    name,
+    in: inPath ? 'path' : 'query',
+    description: override || description,
+    required: inPath || undefined,
+    schema: { ...schema, ...extra },
+  };
+  if (schema.type === 'array') {
+    parameter.style = 'form';
+    parameter.explode = true;
+  }
+  return parameter;
+}
+
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+  };
+}
+
+/**
+ * Build the document. `serverUrl` is the server's base URL, if known.
+ */
+export function buildOpenApiDocument({ serverUrl = null, tools = TOOL_DEFINITIONS, routes = REST_ROUTES } = {}) {
+  const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+  const schemas = { Error: ERROR_SCHEMA };
+  for (const tool of tools) {
+    schemas[`${tool.name}_input`] = tool.inputSchema;
+    schemas[`${tool.name}_output`] = tool.outputSchema;
+  }
+
+  const paths = {};
+  for (const route of routes) {
+    const tool = toolsByName.get(route.tool);
+    if (!tool) {
+      throw new Error(`${route.path}: unknown tool ${route.tool}`);
+    }
+
+    const responseSchema = route.response === tool.outputSchema
+      ? { $ref: `#/components/schemas/${tool.name}_output` }
+      : route.response;
+    const hasPathParameters = route.path.includes('{');
+
+    paths[`/api/v1${route.path}`] = {
+      get: {
+        operationId: route.operationId,
+        summary: route.summary,
+        description: `${tool.description.replace(/\.$/, '')}. Mirrors the \`${tool.name}\` MCP tool.`,
+        tags: ['REST API'],
+        'x-mcp-tool': tool.name,
+        parameters: Object.entries(route.params).map(([name, param]) => routeParameter(route, tool, name, param)),
+        responses: {
+          200: {
+            description: 'Success',
+            content: { 'application/json': { schema: responseSchema } },
+          },
+          400: errorResponse('Invalid parameter, query or cursor'),
+          401: errorResponse('Invalid API key, or a key is required'),
+          ...(hasPathParameters ? { 404: errorResponse('No such item') } : {}),
+          429: errorResponse('Rate limit or daily quota exceeded'),
+          503: errorResponse('Server overloaded; retry later'),
+        },
+      },
+    };
+  }
+
+  paths['/health'] = {
+    get: {
+      operationId: 'getHealth',
+      summary: 'Server health',
+      description: 'Memory use, data storage, open MCP sessions and circuit breaker state, for monitoring.',
+      tags: ['Server'],
+      security: [],
+      responses: {
+        200: {
+          description: 'Success',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string' },
+                  activeRequests: { type: 'integer' },
+                  circuitBreaker: { type: 'string', enum: ['CLOSED', 'OPEN', 'HALF_OPEN'] },
+                },
+                required: ['status'],
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'HPR Knowledge Base API',
+      version,
+      description: 'Search and look up Hacker Public Radio episodes, transcripts, hosts and series. ' +
+        'MCP clients should connect to /mcp (Streamable HTTP) instead; the tools it lists are described under components.schemas.',
+      license: { name: 'CC-BY-SA' },
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    tags: [
+      { name: 'REST API', description: 'Plain JSON versions of the MCP tools' },
+      { name: 'Server', description: 'Monitoring' },
+    ],
+    // Anonymous access, when the server allows it, or an API key
+    security: [{}, { bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key, or OAuth access token when the server uses OAuth' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+    },
+  };
+}
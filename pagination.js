@@ -0,0 +1,73 @@
+import { createHash } from 'crypto';
+
+/**
+ * Opaque cursors for paging through tool and resource results.
+ * A cursor holds the offset of the next page plus a fingerprint of the request
+ * it was issued for, so it cannot be replayed against different arguments.
+ */
+
+// Episodes per page of a host's or series' episode list
+export const EPISODE_LIST_PAGE_SIZE = 50;
+
+export class CursorError extends Error {
+  constructor(message) {
+    super(`Invalid cursor: ${message}`);
+    this.name = 'CursorError';
+  }
+}
+
+/**
+ * Identify a request by name and arguments, ignoring the paging arguments themselves
+ * and the output format
+ */
+export function requestScope(name, args = {}) {
+  const { cursor, limit, format, ...rest } = args || {};
+  return { name, ...rest };
+}
+
+function fingerprint(scope) {
+  const json = JSON.stringify(scope, scope ? Object.keys(scope).sort() : undefined);
+  return createHash('sha256').update(json || '').digest('base64url').slice(0, 12);
+}
+
+export function encodeCursor(offset, scope) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint(scope) })).toString('base64url');
+}
+
+/**
+ * Offset stored in a cursor. Throws CursorError if the cursor is malformed
+ * or was issued for a different request.
+ */
+export function decodeCursor(cursor, scope) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  } catch (error) {
+    throw new CursorError('not a cursor returned by this server');
+  }
+
+  if (!Number.isInteger(decoded?.o) || decoded.o < 0) {
+    throw new CursorError('not a cursor returned by this server');
+  }
+  if (decoded.f !== fingerprint(scope)) {
+    throw new CursorError('it was issued for a different request; repeat the original arguments with the cursor');
+  }
+  return decoded.o;
+}
+
+/**
+ * One page of a list. Returns { items, offset, total, nextCursor },
+ * where nextCursor is null on the last page.
+ */
+export function paginate(list, { cursor = null, limit = 20, scope = null } = {}) {
+  const offset = cursor ? decodeCursor(cursor, scope) : 0;
+  const items = list.slice(offset, offset + limit);
+  const nextOffset = offset + items.length;
+
+  return {
+    items,
+    offset,
+    total: list.length,
+    nextCursor: nextOffset < list.length ? encodeCursor(nextOffset, scope) : null,
+  };
+}
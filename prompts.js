@@ -0,0 +1,184 @@
+import { stripHtml, formatEpisode, formatComments, formatTranscriptSearchResults } from './formatters.js';
+
+/**
+ * The MCP prompts, shared by both servers (index.js and server-http.js). Each
+ * prompt is pre-populated with the knowledge base content it is about.
+ */
+
+// How much content prompts are pre-populated with
+const PROMPT_EPISODE_LIMIT = 10;
+const PROMPT_TRANSCRIPT_LIMIT = 5;
+const PROMPT_HOST_EPISODE_LIMIT = 20;
+
+export const PROMPT_DEFINITIONS = [
+  {
+    name: 'summarize_episode',
+    description: 'Summarize an HPR episode from its notes, transcript and comments',
+    arguments: [
+      {
+        name: 'episodeId',
+        description: 'Episode ID number, e.g. 16',
+        required: true,
+      },
+    ],
+  },
+  {
+    name: 'research_topic',
+    description: 'Research a topic across HPR episodes and transcripts',
+    arguments: [
+      {
+        name: 'topic',
+        description: 'Topic to research, e.g. "virtual machines" (supports the search_episodes query syntax)',
+        required: true,
+      },
+    ],
+  },
+  {
+    name: 'introduce_host',
+    description: 'Introduce an HPR host from their profile and episodes',
+    arguments: [
+      {
+        name: 'host',
+        description: 'Host name (fuzzy matched) or host ID',
+        required: true,
+      },
+    ],
+  },
+  {
+    name: 'series_walkthrough',
+    description: 'Walk through an HPR series episode by episode',
+    arguments: [
+      {
+        name: 'seriesId',
+        description: 'Series ID number',
+        required: true,
+      },
+    ],
+  },
+];
+
+/**
+ * Build a prompt from its arguments. Throws for an unknown prompt or missing content.
+ */
+export async function getPrompt(dataLoader, name, args = {}) {
+
+  if (name === 'summarize_episode') {
+    const episode = dataLoader.getEpisode(Number(args.episodeId));
+    if (!episode) {
+      throw new Error(`Episode ${args.episodeId} not found`);
+    }
+
+    const transcript = dataLoader.getTranscript(episode.id);
+    const comments = dataLoader.getCommentsForEpisode(episode.id);
+    const text = `Summarize HPR episode ${episode.id} for someone deciding whether to listen to it. Cover the main topics, any software, hardware or links mentioned, and what listeners said in the comments. Use only the material below, and say so if it is incomplete.
+
+${formatEpisode(dataLoader, episode, true)}
+
+## Transcript
+
+${transcript || '*No transcript available for this episode.*'}
+
+## Comments (${comments.length})
+
+${comments.length > 0 ? formatComments(comments) : '*No comments on this episode.*'}`;
+
+    return {
+      description: `Summarize HPR${String(episode.id).padStart(4, '0')}: ${episode.title}`,
+      messages: [{ role: 'user', content: { type: 'text', text } }],
+    };
+  }
+
+  if (name === 'research_topic') {
+    const topic = String(args.topic || '').trim();
+    if (!topic) {
+      throw new Error('A topic is required');
+    }
+
+    const episodes = dataLoader.searchEpisodes(topic, { limit: Infinity });
+    const { results, total } = dataLoader.searchTranscripts(topic, {
+      limit: PROMPT_TRANSCRIPT_LIMIT,
+      contextLines: 2,
+      maxMatchesPerEpisode: 3,
+    });
+    if (episodes.length === 0 && total === 0) {
+      throw new Error(`No episodes or transcripts mention "${topic}"`);
+    }
+
+    const episodeList = episodes.slice(0, PROMPT_EPISODE_LIMIT).map(ep => formatEpisode(dataLoader, ep, false)).join('\n\n---\n\n');
+    const text = `Research "${topic}" across Hacker Public Radio. Using the episodes and transcript excerpts below, explain what HPR hosts have said about it, how the coverage has changed over the years, and which episodes are the best starting points. Cite episodes as HPRnnnn, and use the search_episodes and search_transcripts tools if you need more.
+
+## Matching Episodes (${Math.min(episodes.length, PROMPT_EPISODE_LIMIT)} of ${episodes.length})
+
+${episodeList || '*No episode titles, summaries, tags or notes match.*'}
+
+${formatTranscriptSearchResults(dataLoader, results, { query: topic, contextLines: 2, maxMatchesPerEpisode: 3 }, total) || '*No transcripts match.*'}`;
+
+    return {
+      description: `Research "${topic}" across HPR`,
+      messages: [{ role: 'user', content: { type: 'text', text } }],
+    };
+  }
+
+  if (name === 'introduce_host') {
+    const query = String(args.host || '').trim();
+    const host = /^\d+$/.test(query) ? dataLoader.getHost(Number(query)) : dataLoader.searchHosts(query)[0];
+    if (!query || !host) {
+      throw new Error(`Host "${query}" not found`);
+    }
+
+    // Newest first
+    const episodes = dataLoader.getEpisodesByHost(host.hostid).sort((a, b) => b.date.localeCompare(a.date));
+    const episodeList = episodes.slice(0, PROMPT_HOST_EPISODE_LIMIT).map(ep =>
+      `**HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title}\n  ${ep.summary}\n  Tags: ${ep.tags}`
+    ).join('\n\n');
+    const text = `Introduce the HPR host ${host.host} to a new listener: who they are, what they tend to talk about, how long they have been contributing, and a few episodes to start with. Use only the material below.
+
+# ${host.host}
+
+**Host ID:** ${host.hostid}
+**License:** ${host.license}
+**Profile:** ${stripHtml(host.profile)}
+**Total Episodes:** ${episodes.length}${episodes.length > 0 ? ` (${episodes[episodes.length - 1].date} to ${episodes[0].date})` : ''}
+
+## Episodes (${Math.min(episodes.length, PROMPT_HOST_EPISODE_LIMIT)} most recent)
+
+${episodeList || '*No episodes.*'}`;
+
+    return {
+      description: `Introduce HPR host ${host.host}`,
+      messages: [{ role: 'user', content: { type: 'text', text } }],
+    };
+  }
+
+  if (name === 'series_walkthrough') {
+    const series = dataLoader.getSeries(Number(args.seriesId));
+    if (!series) {
+      throw new Error(`Series ${args.seriesId} not found`);
+    }
+
+    // In broadcast order
+    const episodes = dataLoader.getEpisodesInSeries(series.id).sort((a, b) => a.date.localeCompare(b.date));
+    const episodeList = episodes.map((ep, index) => {
+      const host = dataLoader.getHost(ep.hostid);
+      return `${index + 1}. **HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title} by ${host?.host || 'Unknown'}\n   ${ep.summary}`;
+    }).join('\n\n');
+    const text = `Walk me through the HPR series "${series.name}" in order: what the series is about, what each episode adds, and which episodes to listen to first if I only have time for a few. Use the get_episode tool for an episode's full notes or transcript.
+
+# ${series.name}
+
+**Series ID:** ${series.id}
+**Description:** ${stripHtml(series.description)}
+**Total Episodes:** ${episodes.length}
+
+## Episodes in Series
+
+${episodeList || '*No episodes.*'}`;
+
+    return {
+      description: `Walk through the HPR series ${series.name}`,
+      messages: [{ role: 'user', content: { type: 'text', text } }],
+    };
+  }
+
+  throw new Error(`Unknown prompt: ${name}`);
+}
@@ -0,0 +1,348 @@
+/**
+ * Boolean and fielded query language shared by episode and transcript search.
+ *
+ * Syntax:
+ *   linux kernel            implicit AND
+ *   bash OR zsh             either term
+ *   NOT windows, -windows   exclude
+ *   (vim OR emacs) config   grouping
+ *   "virtual machine"       exact phrase
+ *   raspberry NEAR/10 k8s   words within 10 words of each other (transcripts only; NEAR alone means NEAR/10)
+ *   title:python            fielded term (title, tag, summary, notes, host, series, date)
+ *   date:>2015-01-01        date comparison (>, >=, <, <=, or a YYYY / YYYY-MM / YYYY-MM-DD prefix)
+ */
+
+export const QUERY_FIELDS = {
+  title: 'title',
+  tag: 'tags',
+  tags: 'tags',
+  summary: 'summary',
+  notes: 'notes',
+  host: 'host',
+  series: 'series',
+  date: 'date',
+};
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+const NEAR_PATTERN = /^NEAR(?:\/(\d+))?$/;
+export const DEFAULT_NEAR_DISTANCE = 10;
+const DATE_PATTERN = /^(>=|<=|>|<|=)?(\d{4}(?:-\d{2}(?:-\d{2})?)?)$/;
+
+export class QueryParseError extends Error {
+  constructor(message, position) {
+    super(`Invalid query: ${message}${position === undefined ? '' : ` (at position ${position + 1})`}`);
+    this.name = 'QueryParseError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a query string into lexical tokens
+ */
+function lex(input) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (start) => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new QueryParseError('Unterminated quoted phrase', start);
+    }
+    return { value: input.slice(start + 1, end), end: end + 1 };
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const { value, end } = readQuoted(i);
+      tokens.push({ type: 'phrase', value, position: i });
+      i = end;
+      continue;
+    }
+
+    if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    while (i < input.length && !/[\s()"]/.test(input[i])) {
+      i++;
+    }
+    const word = input.slice(start, i);
+
+    if (OPERATORS.has(word)) {
+      tokens.push({ type: word, position: start });
+      continue;
+    }
+
+    const nearMatch = word.match(NEAR_PATTERN);
+    if (nearMatch) {
+      const distance = nearMatch[1] === undefined ? DEFAULT_NEAR_DISTANCE : parseInt(nearMatch[1], 10);
+      if (distance < 1) {
+        throw new QueryParseError('NEAR distance must be at least 1', start);
+      }
+      tokens.push({ type: 'NEAR', distance, position: start });
+      continue;
+    }
+
+    const fieldMatch = word.match(/^([a-z]+):(.*)$/i);
+    if (fieldMatch && QUERY_FIELDS[fieldMatch[1].toLowerCase()]) {
+      const field = QUERY_FIELDS[fieldMatch[1].toLowerCase()];
+      let value = fieldMatch[2];
+      let phrase = false;
+
+      if (value === '' && input[i] === '"') {
+        const quoted = readQuoted(i);
+        value = quoted.value;
+        phrase = true;
+        i = quoted.end;
+      }
+
+      if (value.trim() === '') {
+        throw new QueryParseError(`Missing value for field "${fieldMatch[1]}:"`, start);
+      }
+
+      tokens.push({ type: 'field', field, value, phrase, position: start });
+      continue;
+    }
+
+    tokens.push({ type: 'word', value: word, position: start });
+  }
+
+  return tokens;
+}
+
+/**
+ * Build a leaf node, validating field-specific values
+ */
+function leaf(token) {
+  if (token.type === 'phrase') {
+    return { type: 'term', field: null, value: token.value, phrase: true };
+  }
+
+  if (token.type === 'word') {
+    return { type: 'term', field: null, value: token.value, phrase: false };
+  }
+
+  if (token.field === 'date') {
+    const match = token.value.match(DATE_PATTERN);
+    if (!match) {
+      throw new QueryParseError(`Invalid date "${token.value}" (expected YYYY, YYYY-MM or YYYY-MM-DD, optionally prefixed by >, >=, < or <=)`, token.position);
+    }
+    return { type: 'term', field: 'date', value: match[2], op: match[1] || '=', phrase: false };
+  }
+
+  return { type: 'term', field: token.field, value: token.value, phrase: token.phrase };
+}
+
+/**
+ * Parse a query string into an AST.
+ * Returns null for an empty query. Throws QueryParseError on invalid syntax.
+ *
+ * Nodes: { type: 'term', field, value, phrase, op? }, { type: 'and' | 'or', children }, { type: 'not', child },
+ *        { type: 'near', distance, children } (children are unfielded terms)
+ */
+export function parseQuery(input) {
+  const tokens = lex(input || '');
+  let index = 0;
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const peek = () => tokens[index];
+  const startsOperand = (token) => token && ['word', 'phrase', 'field', '(', 'NOT'].includes(token.type);
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      index++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseNear()];
+    while (peek()?.type === 'AND' || startsOperand(peek())) {
+      if (peek().type === 'AND') index++;
+      children.push(parseNear());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseNear = () => {
+    let node = parseUnary();
+
+    while (peek()?.type === 'NEAR') {
+      const operator = tokens[index++];
+      const right = parseUnary();
+      const isText = (child) => child.type === 'term' && !child.field;
+
+      if (node.type === 'near' && node.distance === operator.distance && isText(right)) {
+        node.children.push(right);
+        continue;
+      }
+      if (!isText(node) || !isText(right)) {
+        throw new QueryParseError('NEAR can only combine words and quoted phrases', operator.position);
+      }
+      node = { type: 'near', distance: operator.distance, children: [node, right] };
+    }
+
+    return node;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token?.type === 'NOT') {
+      index++;
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (!token) {
+      const last = tokens[tokens.length - 1];
+      throw new QueryParseError(`Expected a search term after ${last.type === 'NOT' ? 'NOT' : last.type}`, last.position);
+    }
+
+    if (token.type === '(') {
+      index++;
+      const node = parseOr();
+      if (peek()?.type !== ')') {
+        throw new QueryParseError('Missing closing parenthesis', token.position);
+      }
+      index++;
+      return node;
+    }
+
+    if (['word', 'phrase', 'field'].includes(token.type)) {
+      index++;
+      return leaf(token);
+    }
+
+    if (token.type === ')') {
+      throw new QueryParseError('Unexpected closing parenthesis', token.position);
+    }
+
+    throw new QueryParseError(`Expected a search term before ${token.type}`, token.position);
+  };
+
+  const ast = parseOr();
+
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw new QueryParseError(token.type === ')' ? 'Unexpected closing parenthesis' : `Unexpected ${token.type}`, token.position);
+  }
+
+  return ast;
+}
+
+/**
+ * Whether a query string uses any query-language syntax
+ * (operators, quotes, parentheses, exclusions or field prefixes)
+ */
+export function hasQuerySyntax(input) {
+  try {
+    return lex(input || '').some(token => token.type !== 'word');
+  } catch (error) {
+    // Malformed syntax (e.g. an unterminated quote) is still syntax
+    return true;
+  }
+}
+
+/**
+ * Evaluate an AST to a Set of matching ids.
+ * `resolveLeaf(node)` returns the Set of ids matching a term node,
+ * `resolveNear(node)` the Set matching a proximity node (optional), and
+ * `universe` is the Set of all ids (needed for NOT).
+ */
+export function evaluateQuery(node, context) {
+  const { universe, resolveLeaf, resolveNear } = context;
+
+  if (!node) {
+    return new Set(universe);
+  }
+
+  switch (node.type) {
+    case 'term':
+      return resolveLeaf(node);
+
+    case 'and': {
+      // Evaluate positive clauses first so exclusions only subtract from a small set
+      const positives = node.children.filter(child => child.type !== 'not');
+      const negatives = node.children.filter(child => child.type === 'not');
+      let result = positives.length > 0
+        ? evaluateQuery(positives[0], context)
+        : new Set(universe);
+
+      for (const child of positives.slice(1)) {
+        if (result.size === 0) break;
+        const childIds = evaluateQuery(child, context);
+        result = new Set([...result].filter(id => childIds.has(id)));
+      }
+
+      for (const child of negatives) {
+        if (result.size === 0) break;
+        const excluded = evaluateQuery(child.child, context);
+        result = new Set([...result].filter(id => !excluded.has(id)));
+      }
+
+      return result;
+    }
+
+    case 'or': {
+      const result = new Set();
+      for (const child of node.children) {
+        for (const id of evaluateQuery(child, context)) {
+          result.add(id);
+        }
+      }
+      return result;
+    }
+
+    case 'near':
+      if (!resolveNear) {
+        throw new QueryParseError('NEAR proximity search is only supported for transcripts');
+      }
+      return resolveNear(node);
+
+    case 'not': {
+      const excluded = evaluateQuery(node.child, context);
+      return new Set([...universe].filter(id => !excluded.has(id)));
+    }
+
+    default:
+      throw new QueryParseError(`Unknown query node type: ${node.type}`);
+  }
+}
+
+/**
+ * Term nodes that count towards a match (i.e. not inside a NOT)
+ */
+export function positiveTerms(node) {
+  if (!node || node.type === 'not') {
+    return [];
+  }
+  if (node.type === 'term') {
+    return [node];
+  }
+  return node.children.flatMap(positiveTerms);
+}
@@ -0,0 +1,383 @@
+import { paginate, EPISODE_LIST_PAGE_SIZE } from './pagination.js';
+import { formatFinding } from './validation.js';
+import {
+  stripHtml,
+  formatEpisode,
+  formatTranscriptHeader,
+  formatTranscriptChanges,
+  formatComments,
+  formatPageInfo,
+  pageMeta,
+} from './formatters.js';
+
+/**
+ * The MCP resources over HPRDataLoader, shared by both servers (index.js and
+ * server-http.js): fixed resources for statistics, lists and diagnostics, and
+ * templates for individual episodes, hosts, series and tags.
+ */
+
+// Page sizes for resources
+const RECENT_EPISODES_PAGE_SIZE = 50;
+const HOSTS_PAGE_SIZE = 100;
+const SERIES_PAGE_SIZE = 50;
+const DIAGNOSTICS_PAGE_SIZE = 100;
+
+export const RESOURCE_DEFINITIONS = [
+  {
+    uri: 'hpr://stats',
+    mimeType: 'text/plain',
+    name: 'HPR Statistics',
+    description: 'Overall statistics about the HPR knowledge base',
+  },
+  {
+    uri: 'hpr://episodes/recent',
+    mimeType: 'text/plain',
+    name: 'Recent Episodes',
+    description: 'HPR episodes, most recent first, 50 per page (append ?cursor=... for the next page)',
+  },
+  {
+    uri: 'hpr://hosts/all',
+    mimeType: 'text/plain',
+    name: 'All Hosts',
+    description: 'List of all HPR hosts, 100 per page (append ?cursor=... for the next page)',
+  },
+  {
+    uri: 'hpr://series/all',
+    mimeType: 'text/plain',
+    name: 'All Series',
+    description: 'List of all HPR series, 50 per page (append ?cursor=... for the next page)',
+  },
+  {
+    uri: 'hpr://diagnostics',
+    mimeType: 'text/plain',
+    name: 'Data Diagnostics',
+    description: 'Validation report for the loaded metadata and transcripts, 100 findings per page (append ?cursor=... for the next page)',
+  },
+];
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'hpr://episode/{id}',
+    mimeType: 'text/plain',
+    name: 'Episode',
+    description: 'Details and host notes of an HPR episode, e.g. hpr://episode/16',
+  },
+  {
+    uriTemplate: 'hpr://episode/{id}/transcript',
+    mimeType: 'text/plain',
+    name: 'Episode Transcript',
+    description: 'Full transcript of an HPR episode',
+  },
+  {
+    uriTemplate: 'hpr://episode/{id}/comments',
+    mimeType: 'text/plain',
+    name: 'Episode Comments',
+    description: 'Community comments on an HPR episode',
+  },
+  {
+    uriTemplate: 'hpr://host/{id}',
+    mimeType: 'text/plain',
+    name: 'Host',
+    description: 'Profile of an HPR host and their episodes, newest first, 50 per page (append ?cursor=... for the next page)',
+  },
+  {
+    uriTemplate: 'hpr://series/{id}',
+    mimeType: 'text/plain',
+    name: 'Series',
+    description: 'Description of an HPR series and its episodes in order, 50 per page (append ?cursor=... for the next page)',
+  },
+  {
+    uriTemplate: 'hpr://tag/{name}',
+    mimeType: 'text/plain',
+    name: 'Tagged Episodes',
+    description: 'Episodes with a tag, newest first, 50 per page; URL-encode the tag, e.g. hpr://tag/raspberry%20pi',
+  },
+];
+
+/**
+ * Read a resource by URI. Throws for an unknown resource.
+ */
+export async function readResource(dataLoader, uri) {
+  // Paginated resources take an opaque cursor as a query parameter
+  const [path, queryString] = uri.split('?');
+  const cursor = new URLSearchParams(queryString || '').get('cursor');
+
+  if (path === 'hpr://stats') {
+    const stats = dataLoader.getStats();
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/plain',
+          text: `# Hacker Public Radio Statistics
+
+**Total Episodes:** ${stats.totalEpisodes}
+**Total Hosts:** ${stats.totalHosts}
+**Total Comments:** ${stats.totalComments}
+**Total Series:** ${stats.totalSeries}
+**Transcripts Available:** ${stats.totalTranscripts}${formatTranscriptChanges(stats.transcriptChanges)}
+
+**Date Range:** ${stats.dateRange.earliest} to ${stats.dateRange.latest}
+
+Hacker Public Radio is a community-driven podcast released under Creative Commons licenses.
+All content is contributed by the community, for the community.`,
+        },
+      ],
+    };
+  }
+
+  if (path === 'hpr://episodes/recent') {
+    const page = paginate(dataLoader.searchEpisodes('', { limit: Infinity }), {
+      cursor,
+      limit: RECENT_EPISODES_PAGE_SIZE,
+      scope: path,
+    });
+    const text = page.items.map(ep => {
+      const host = dataLoader.getHost(ep.hostid);
+      return `**HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title} by ${host?.host || 'Unknown'}`;
+    }).join('\n');
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/plain',
+          text: `# Recent Episodes\n\n${text}${formatPageInfo(page, path)}`,
+        },
+      ],
+      ...pageMeta(page),
+    };
+  }
+
+  if (path === 'hpr://hosts/all') {
+    const page = paginate(dataLoader.hosts.filter(h => h.valid === 1), {
+      cursor,
+      limit: HOSTS_PAGE_SIZE,
+      scope: path,
+    });
+    const hosts = page.items
+      .map(h => {
+        const episodeCount = dataLoader.getEpisodesByHost(h.hostid).length;
+        return `**${h.host}** (ID: ${h.hostid}) - ${episodeCount} episodes`;
+      })
+      .join('\n');
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/plain',
+          text: `# All HPR Hosts\n\n${hosts}${formatPageInfo(page, path)}`,
+        },
+      ],
+      ...pageMeta(page),
+    };
+  }
+
+  if (path === 'hpr://series/all') {
+    const page = paginate(dataLoader.series.filter(s => s.valid === 1 && s.private === 0), {
+      cursor,
+      limit: SERIES_PAGE_SIZE,
+      scope: path,
+    });
+    const series = page.items
+      .map(s => {
+        const episodeCount = dataLoader.getEpisodesInSeries(s.id).length;
+        return `**${s.name}** (ID: ${s.id}) - ${episodeCount} episodes\n  ${stripHtml(s.description)}`;
+      })
+      .join('\n\n');
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/plain',
+          text: `# All HPR Series\n\n${series}${formatPageInfo(page, path)}`,
+        },
+      ],
+      ...pageMeta(page),
+    };
+  }
+
+  if (path === 'hpr://diagnostics') {
+    const report = dataLoader.validation;
+    const page = paginate(report.findings, {
+      cursor,
+      limit: DIAGNOSTICS_PAGE_SIZE,
+      scope: path,
+    });
+    const findings = page.items.map(formatFinding).join('\n');
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/plain',
+          text: `# Data Diagnostics
+
+**Status:** ${report.valid ? 'Valid' : 'Invalid'}
+**Errors:** ${report.errors}
+**Warnings:** ${report.warnings}
+
+**Checked:** ${report.counts.episodes} episodes, ${report.counts.hosts} hosts, ${report.counts.comments} comments, ${report.counts.series} series, ${report.counts.transcripts} transcripts
+
+${findings || 'No problems found.'}${formatPageInfo(page, path)}`,
+        },
+      ],
+      ...pageMeta(page),
+    };
+  }
+
+  // Resource templates (see RESOURCE_TEMPLATES)
+  const episodeMatch = path.match(/^hpr:\/\/episode\/(\d+)(?:\/(transcript|comments))?$/);
+  if (episodeMatch) {
+    const episodeId = Number(episodeMatch[1]);
+    const episode = dataLoader.getEpisode(episodeId);
+    if (!episode) {
+      throw new Error(`Episode ${episodeId} not found`);
+    }
+
+    const title = `HPR${String(episode.id).padStart(4, '0')}: ${episode.title}`;
+    let text;
+    if (episodeMatch[2] === 'transcript') {
+      const transcript = dataLoader.getTranscript(episodeId);
+      if (!transcript) {
+        throw new Error(`No transcript available for episode ${episodeId}`);
+      }
+      text = `# ${title} - Transcript${formatTranscriptHeader(dataLoader.getTranscriptHeader(episodeId))}\n\n${transcript}`;
+    } else if (episodeMatch[2] === 'comments') {
+      const comments = dataLoader.getCommentsForEpisode(episodeId);
+      text = `# ${title} - Comments (${comments.length})\n\n${comments.length > 0 ? formatComments(comments) : '*No comments on this episode.*'}`;
+    } else {
+      text = formatEpisode(dataLoader, episode, true);
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/plain',
+          text,
+        },
+      ],
+    };
+  }
+
+  const hostMatch = path.match(/^hpr:\/\/host\/(\d+)$/);
+  if (hostMatch) {
+    const host = dataLoader.getHost(Number(hostMatch[1]));
+    if (!host) {
+      throw new Error(`Host ${hostMatch[1]} not found`);
+    }
+
+    // Newest first
+    const episodes = dataLoader.getEpisodesByHost(host.hostid).sort((a, b) => b.date.localeCompare(a.date));
+    const page = paginate(episodes, {
+      cursor,
+      limit: EPISODE_LIST_PAGE_SIZE,
+      scope: path,
+    });
+    const list = page.items.map(ep =>
+      `**HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title}\n  ${ep.summary}`
+    ).join('\n\n');
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/plain',
+          text: `# ${host.host}
+
+**Host ID:** ${host.hostid}
+**Email:** ${host.email}
+**License:** ${host.license}
+**Profile:** ${stripHtml(host.profile)}
+
+**Total Episodes:** ${episodes.length}
+
+## Episodes
+
+${list}${formatPageInfo(page, path)}`,
+        },
+      ],
+      ...pageMeta(page),
+    };
+  }
+
+  const seriesMatch = path.match(/^hpr:\/\/series\/(\d+)$/);
+  if (seriesMatch) {
+    const series = dataLoader.getSeries(Number(seriesMatch[1]));
+    if (!series) {
+      throw new Error(`Series ${seriesMatch[1]} not found`);
+    }
+
+    // In broadcast order
+    const episodes = dataLoader.getEpisodesInSeries(series.id).sort((a, b) => a.date.localeCompare(b.date));
+    const page = paginate(episodes, {
+      cursor,
+      limit: EPISODE_LIST_PAGE_SIZE,
+      scope: path,
+    });
+    const list = page.items.map((ep, index) => {
+      const host = dataLoader.getHost(ep.hostid);
+      return `${page.offset + index + 1}. **HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title} by ${host?.host || 'Unknown'}\n   ${ep.summary}`;
+    }).join('\n\n');
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/plain',
+          text: `# ${series.name}
+
+**Series ID:** ${series.id}
+**Description:** ${stripHtml(series.description)}
+**Total Episodes:** ${episodes.length}
+
+## Episodes in Series
+
+${list}${formatPageInfo(page, path)}`,
+        },
+      ],
+      ...pageMeta(page),
+    };
+  }
+
+  const tagMatch = path.match(/^hpr:\/\/tag\/(.+)$/);
+  if (tagMatch) {
+    let tag;
+    try {
+      tag = decodeURIComponent(tagMatch[1]);
+    } catch {
+      throw new Error(`Invalid tag in resource URI: ${uri}`);
+    }
+    // Newest first
+    const episodes = dataLoader.getEpisodesByTag(tag).sort((a, b) => b.date.localeCompare(a.date));
+    if (episodes.length === 0) {
+      throw new Error(`No episodes tagged "${tag}"`);
+    }
+
+    const page = paginate(episodes, {
+      cursor,
+      limit: EPISODE_LIST_PAGE_SIZE,
+      scope: path,
+    });
+    const list = page.items.map(ep => {
+      const host = dataLoader.getHost(ep.hostid);
+      return `**HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title} by ${host?.host || 'Unknown'}\n  ${ep.summary}`;
+    }).join('\n\n');
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'text/plain',
+          text: `# Episodes Tagged "${tag}" (${episodes.length})\n\n${list}${formatPageInfo(page, path)}`,
+        },
+      ],
+      ...pageMeta(page),
+    };
+  }
+
+  throw new Error(`Unknown resource: ${uri}`);
+}
@@ -0,0 +1,343 @@
+import express from 'express';
+import { requestScope, decodeCursor, encodeCursor, paginate, CursorError } from './pagination.js';
+import { QueryParseError } from './query-parser.js';
+import {
+  OUTPUT_SCHEMAS,
+  EPISODE_SCHEMA,
+  COMMENT_SCHEMA,
+  episodeData,
+  hostData,
+  seriesData,
+  commentData,
+  transcriptResultData,
+  pageData,
+} from './structured-output.js';
+
+/**
+ * Plain REST/JSON API over HPRDataLoader, for clients that don't speak MCP.
+ * Responses use the same shapes as the tools' structured content (see
+ * structured-output.js); lists are paged with `limit` and an opaque `cursor`.
+ *
+ * GET /episodes?q=...                search episodes (search_episodes)
+ * GET /episodes/:id                  episode with notes and comments (get_episode)
+ * GET /episodes/:id/transcript       transcript text and header
+ * GET /hosts/:id                     host and their episodes (get_host_info)
+ * GET /series/:id                    series and its episodes (get_series_info)
+ * GET /transcripts/search?q=...      search transcripts (search_transcripts)
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const LIMIT_PARAM = { arg: 'limit', minimum: 1, maximum: MAX_PAGE_SIZE };
+const CURSOR_PARAM = { arg: 'cursor', description: 'nextCursor of the previous page; repeat the other parameters unchanged' };
+const DATE_PARAM_FORMAT = { format: 'date' };
+
+/**
+ * Description of each route for the OpenAPI document (see openapi.js). `params`
+ * maps each query or {path} parameter to the tool argument it stands for, whose
+ * input schema documents it; an object adds to that schema.
+ */
+export const REST_ROUTES = [
+  {
+    path: '/episodes',
+    operationId: 'searchEpisodes',
+    summary: 'Search episodes',
+    tool: 'search_episodes',
+    params: {
+      q: 'query', hostId: 'hostId', seriesId: 'seriesId', tag: 'tag',
+      fromDate: { arg: 'fromDate', ...DATE_PARAM_FORMAT }, toDate: { arg: 'toDate', ...DATE_PARAM_FORMAT },
+      sort: 'sort', expand: 'expand', limit: LIMIT_PARAM, cursor: CURSOR_PARAM,
+    },
+    response: OUTPUT_SCHEMAS.search_episodes,
+  },
+  {
+    path: '/episodes/{id}',
+    operationId: 'getEpisode',
+    summary: 'Get an episode with its notes and comments',
+    tool: 'get_episode',
+    params: { id: 'episodeId' },
+    response: {
+      type: 'object',
+      properties: {
+        episode: EPISODE_SCHEMA,
+        comments: { type: 'array', items: COMMENT_SCHEMA },
+      },
+      required: ['episode', 'comments'],
+    },
+  },
+  {
+    path: '/episodes/{id}/transcript',
+    operationId: 'getTranscript',
+    summary: 'Get the transcript of an episode',
+    tool: 'get_episode',
+    params: { id: 'episodeId' },
+    response: {
+      type: 'object',
+      properties: {
+        episodeId: { type: 'integer' },
+        header: {
+          type: ['object', 'null'],
+          description: 'Where and when the transcript was made; null if it has no header',
+          properties: {
+            episode: { type: 'integer' },
+            title: { type: 'string' },
+            source: { type: 'string', description: 'Audio the transcript was made from' },
+            transcribed: { type: 'string' },
+          },
+        },
+        transcript: { type: 'string' },
+      },
+      required: ['episodeId', 'header', 'transcript'],
+    },
+  },
+  {
+    path: '/hosts/{id}',
+    operationId: 'getHost',
+    summary: 'Get a host and their episodes',
+    tool: 'get_host_info',
+    params: { id: 'hostId', limit: LIMIT_PARAM, cursor: CURSOR_PARAM },
+    response: OUTPUT_SCHEMAS.get_host_info,
+  },
+  {
+    path: '/series/{id}',
+    operationId: 'getSeries',
+    summary: 'Get a series and its episodes',
+    tool: 'get_series_info',
+    params: { id: 'seriesId', limit: LIMIT_PARAM, cursor: CURSOR_PARAM },
+    response: OUTPUT_SCHEMAS.get_series_info,
+  },
+  {
+    path: '/transcripts/search',
+    operationId: 'searchTranscripts',
+    summary: 'Search transcripts (q or terms is required)',
+    tool: 'search_transcripts',
+    params: {
+      q: 'query', terms: { arg: 'terms', description: 'Terms to search for, comma-separated or repeated; useful with matchMode "any" or "all"' },
+      matchMode: 'matchMode', hostId: 'hostId', hostName: 'hostName', contextLines: 'contextLines',
+      caseSensitive: 'caseSensitive', wholeWord: 'wholeWord', maxMatchesPerEpisode: 'maxMatchesPerEpisode',
+      withinWords: 'withinWords', expand: 'expand', limit: LIMIT_PARAM, cursor: CURSOR_PARAM,
+    },
+    response: OUTPUT_SCHEMAS.search_transcripts,
+  },
+];
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+function integerParam(query, name) {
+  const value = query[name];
+  if (value === undefined || value === '') return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw new ApiError(400, `${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+function booleanParam(query, name) {
+  const value = query[name];
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw new ApiError(400, `${name} must be true or false`);
+}
+
+function stringParam(query, name) {
+  const value = query[name];
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') {
+    throw new ApiError(400, `${name} must be given once`);
+  }
+  return value;
+}
+
+function enumParam(query, name, values) {
+  const value = stringParam(query, name);
+  if (value === undefined || value === '') return undefined;
+  if (!values.includes(value)) {
+    throw new ApiError(400, `${name} must be one of ${values.join(', ')}`);
+  }
+  return value;
+}
+
+function dateParam(query, name) {
+  const value = stringParam(query, name);
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw new ApiError(400, `${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+function limitParam(query, defaultLimit = DEFAULT_PAGE_SIZE) {
+  const limit = integerParam(query, 'limit') ?? defaultLimit;
+  if (limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ApiError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return limit;
+}
+
+/**
+ * Express router for the API, to be mounted at /api/v1
+ */
+export function createRestApi(dataLoader) {
+  const router = express.Router();
+
+  router.get('/episodes', (req, res) => {
+    const query = stringParam(req.query, 'q') || '';
+    const matches = dataLoader.searchEpisodes(query, {
+      limit: Infinity,
+      hostId: integerParam(req.query, 'hostId'),
+      seriesId: integerParam(req.query, 'seriesId'),
+      tag: stringParam(req.query, 'tag'),
+      fromDate: dateParam(req.query, 'fromDate'),
+      toDate: dateParam(req.query, 'toDate'),
+      sort: enumParam(req.query, 'sort', ['relevance', 'date']),
+      expand: booleanParam(req.query, 'expand'),
+    });
+    const page = paginate(matches, {
+      cursor: stringParam(req.query, 'cursor'),
+      limit: limitParam(req.query),
+      scope: requestScope('GET /api/v1/episodes', req.query),
+    });
+
+    res.json({
+      ...pageData(page),
+      episodes: page.items.map(ep => episodeData(dataLoader, ep)),
+      // Facets describe the whole match set, so they are only given on the first page
+      facets: page.items.length > 0 && page.offset === 0 ? dataLoader.getEpisodeFacets(matches) : null,
+      suggestions: matches.length === 0 ? dataLoader.suggestQueries(query, { corpus: 'episodes' }) : [],
+    });
+  });
+
+  router.get('/episodes/:id', (req, res) => {
+    const episode = dataLoader.getEpisode(integerParam(req.params, 'id'));
+    if (!episode) {
+      throw new ApiError(404, `Episode ${req.params.id} not found`);
+    }
+
+    res.json({
+      episode: episodeData(dataLoader, episode, { includeNotes: true }),
+      comments: dataLoader.getCommentsForEpisode(episode.id).map(commentData),
+    });
+  });
+
+  router.get('/episodes/:id/transcript', (req, res) => {
+    const episodeId = integerParam(req.params, 'id');
+    if (!dataLoader.getEpisode(episodeId)) {
+      throw new ApiError(404, `Episode ${req.params.id} not found`);
+    }
+    const transcript = dataLoader.getTranscript(episodeId);
+    if (!transcript) {
+      throw new ApiError(404, `No transcript available for episode ${episodeId}`);
+    }
+
+    res.json({
+      episodeId,
+      header: dataLoader.getTranscriptHeader(episodeId),
+      transcript,
+    });
+  });
+
+  router.get('/hosts/:id', (req, res) => {
+    const host = dataLoader.getHost(integerParam(req.params, 'id'));
+    if (!host) {
+      throw new ApiError(404, `Host ${req.params.id} not found`);
+    }
+
+    // Newest first
+    const episodes = dataLoader.getEpisodesByHost(host.hostid).sort((a, b) => b.date.localeCompare(a.date));
+    const page = paginate(episodes, {
+      cursor: stringParam(req.query, 'cursor'),
+      limit: limitParam(req.query, 50),
+      scope: requestScope(`GET /api/v1/hosts/${host.hostid}`, req.query),
+    });
+
+    res.json({
+      host: hostData(host),
+      ...pageData(page),
+      episodes: page.items.map(ep => episodeData(dataLoader, ep)),
+    });
+  });
+
+  router.get('/series/:id', (req, res) => {
+    const series = dataLoader.getSeries(integerParam(req.params, 'id'));
+    if (!series) {
+      throw new ApiError(404, `Series ${req.params.id} not found`);
+    }
+
+    // In broadcast order
+    const episodes = dataLoader.getEpisodesInSeries(series.id).sort((a, b) => a.date.localeCompare(b.date));
+    const page = paginate(episodes, {
+      cursor: stringParam(req.query, 'cursor'),
+      limit: limitParam(req.query, 50),
+      scope: requestScope(`GET /api/v1/series/${series.id}`, req.query),
+    });
+
+    res.json({
+      series: seriesData(series),
+      ...pageData(page),
+      episodes: page.items.map(ep => episodeData(dataLoader, ep)),
+    });
+  });
+
+  router.get('/transcripts/search', (req, res) => {
+    const query = stringParam(req.query, 'q') || '';
+    // terms=a,b or terms=a&terms=b
+    const terms = [req.query.terms ?? []].flat()
+      .flatMap(value => String(value).split(','))
+      .map(term => term.trim())
+      .filter(Boolean);
+    if (!query && terms.length === 0) {
+      throw new ApiError(400, 'q or terms is required');
+    }
+
+    const scope = requestScope('GET /api/v1/transcripts/search', req.query);
+    const cursor = stringParam(req.query, 'cursor');
+    const offset = cursor ? decodeCursor(cursor, scope) : 0;
+    const { results, total } = dataLoader.searchTranscripts(query, {
+      limit: limitParam(req.query),
+      offset,
+      contextLines: integerParam(req.query, 'contextLines') ?? 3,
+      terms: terms.length > 0 ? terms : undefined,
+      matchMode: enumParam(req.query, 'matchMode', ['any', 'all', 'phrase', 'query']),
+      hostId: integerParam(req.query, 'hostId'),
+      hostName: stringParam(req.query, 'hostName'),
+      caseSensitive: booleanParam(req.query, 'caseSensitive'),
+      wholeWord: booleanParam(req.query, 'wholeWord'),
+      maxMatchesPerEpisode: integerParam(req.query, 'maxMatchesPerEpisode') ?? 5,
+      withinWords: integerParam(req.query, 'withinWords'),
+      expand: booleanParam(req.query, 'expand'),
+    });
+    const nextOffset = offset + results.length;
+
+    res.json({
+      total,
+      offset,
+      nextCursor: nextOffset < total ? encodeCursor(nextOffset, scope) : null,
+      results: results.map(result => transcriptResultData(dataLoader, result)),
+      suggestions: total === 0 ? dataLoader.suggestQueries(query || terms.join(' '), { corpus: 'transcripts' }) : [],
+    });
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Not Found', message: `No API endpoint ${req.method} ${req.baseUrl}${req.path}` });
+  });
+
+  router.use((error, req, res, next) => {
+    // Invalid cursors and queries are the caller's mistake too
+    if (error instanceof ApiError || error instanceof CursorError || error instanceof QueryParseError) {
+      const status = error instanceof ApiError ? error.status : 400;
+      return res.status(status).json({ error: status === 404 ? 'Not Found' : 'Bad Request', message: error.message });
+    }
+    next(error);
+  });
+
+  return router;
+}
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Runs the test scripts that check behaviour without a running server
+ * (`npm run test:all`), one after another, and exits with status 1 if any failed
+ */
+
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+// test-streamable-http.js needs a running server (`npm run test:streamable`)
+const TEST_SCRIPTS = [
+  'test-query-parser.js',
+  'test-pagination.js',
+  'test-event-store.js',
+  'test-transcript-store.js',
+  'test-validation.js',
+  'test-reload.js',
+  'test-hpr-dump.js',
+  'test-sqlite-storage.js',
+  'test-api-keys.js',
+  'test-oauth.js',
+  'test-search-ranking.js',
+  'test-rest-api.js',
+];
+
+const failed = [];
+for (const script of TEST_SCRIPTS) {
+  console.log(`\n### ${script}\n`);
+  const { status } = spawnSync(process.execPath, [fileURLToPath(new URL(script, import.meta.url))], { stdio: 'inherit' });
+  if (status !== 0) failed.push(script);
+}
+
+console.log('');
+if (failed.length > 0) {
+  console.log(`❌ ${failed.length} of ${TEST_SCRIPTS.length} test scripts failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
+console.log(`✅ All ${TEST_SCRIPTS.length} test scripts passed!`);
@@ -0,0 +1,506 @@
+import { tokenize, groupByStem, stem } from './text-analysis.js';
+
+/**
+ * In-memory inverted indexes used by HPRDataLoader for ranked search.
+ */
+
+// BM25 tuning constants
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Field weights for episode search (title > tags > summary > notes)
+const EPISODE_FIELD_WEIGHTS = {
+  title: 4,
+  tags: 3,
+  summary: 2,
+  notes: 1,
+};
+
+export const EPISODE_FIELDS = Object.keys(EPISODE_FIELD_WEIGHTS);
+
+export function stripTags(html) {
+  return String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"');
+}
+
+/**
+ * The words of each searchable field of an episode, as { title, tags, summary, notes }
+ */
+export function episodeFieldTokens(episode) {
+  return Object.fromEntries(EPISODE_FIELDS.map(field =>
+    [field, tokenize(field === 'notes' ? stripTags(episode.notes) : episode[field])]));
+}
+
+/**
+ * Field-weighted BM25 (BM25F) index over episode metadata
+ */
+export class EpisodeSearchIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map of episode id to per-field term frequencies
+    this.fieldLengths = new Map(); // episode id -> per-field token counts
+    this.averageFieldLengths = {};
+    this.documentCount = 0;
+    this.stemGroups = new Map(); // stem -> indexed words sharing it
+  }
+
+  /**
+   * Build the index from a list of episodes
+   */
+  build(episodes) {
+    this.postings = new Map();
+    this.fieldLengths = new Map();
+    this.documentCount = episodes.length;
+
+    const totals = Object.fromEntries(EPISODE_FIELDS.map(field => [field, 0]));
+
+    for (const episode of episodes) {
+      const lengths = {};
+      const fieldTokens = episodeFieldTokens(episode);
+
+      for (const field of EPISODE_FIELDS) {
+        const tokens = fieldTokens[field];
+        lengths[field] = tokens.length;
+        totals[field] += tokens.length;
+
+        for (const token of tokens) {
+          let docs = this.postings.get(token);
+          if (!docs) {
+            docs = new Map();
+            this.postings.set(token, docs);
+          }
+          let frequencies = docs.get(episode.id);
+          if (!frequencies) {
+            frequencies = {};
+            docs.set(episode.id, frequencies);
+          }
+          frequencies[field] = (frequencies[field] || 0) + 1;
+        }
+      }
+
+      this.fieldLengths.set(episode.id, lengths);
+    }
+
+    for (const field of EPISODE_FIELDS) {
+      this.averageFieldLengths[field] = this.documentCount > 0
+        ? totals[field] / this.documentCount
+        : 0;
+    }
+
+    this.stemGroups = groupByStem(this.postings.keys());
+  }
+
+  /**
+   * Indexed words to look up for a query word: the word itself, plus words
+   * sharing its stem when expanding (e.g. "virtualize" -> "virtualization")
+   */
+  variants(token, expand = true) {
+    if (!expand) {
+      return [token];
+    }
+    return [...new Set([token, ...(this.stemGroups.get(stem(token)) || [])])];
+  }
+
+  /**
+   * Every indexed word
+   */
+  vocabulary() {
+    return this.postings.keys();
+  }
+
+  /**
+   * Number of distinct indexed words
+   */
+  get termCount() {
+    return this.postings.size;
+  }
+
+  /**
+   * Number of episodes containing a term
+   */
+  documentFrequency(term) {
+    return this.postings.get(term)?.size || 0;
+  }
+
+  /**
+   * Inverse document frequency of a term
+   */
+  idf(term) {
+    const docFrequency = this.documentFrequency(term);
+    return Math.log(1 + (this.documentCount - docFrequency + 0.5) / (docFrequency + 0.5));
+  }
+
+  /**
+   * Per-field term frequencies for every episode containing a term,
+   * as a Map of episode id to { title, tags, summary, notes } counts
+   */
+  documents(term) {
+    return this.postings.get(term) || new Map();
+  }
+
+  /**
+   * BM25F score contribution of a single term for an episode
+   */
+  scoreTerm(term, episodeId) {
+    const frequencies = this.documents(term).get(episodeId);
+    if (!frequencies) {
+      return 0;
+    }
+    const weightedFrequency = this.weightedFrequency(episodeId, frequencies);
+    return this.idf(term) * (weightedFrequency * (BM25_K1 + 1)) / (weightedFrequency + BM25_K1);
+  }
+
+  /**
+   * Combine per-field term frequencies into a single length-normalised frequency
+   */
+  weightedFrequency(episodeId, frequencies) {
+    const lengths = this.fieldLengths.get(episodeId) || {};
+    let total = 0;
+
+    for (const [field, frequency] of Object.entries(frequencies)) {
+      const averageLength = this.averageFieldLengths[field] || 1;
+      const normalisation = 1 - BM25_B + BM25_B * ((lengths[field] || 0) / averageLength);
+      total += EPISODE_FIELD_WEIGHTS[field] * frequency / normalisation;
+    }
+
+    return total;
+  }
+}
+
+/**
+ * Positional inverted index over transcript text.
+ *
+ * Postings are stored in flat typed arrays to keep ~20M token positions compact:
+ * a term's postings occupy [termDocStart[t], termDocStart[t + 1]) in postingDocs,
+ * and each posting's positions occupy [postingPosStart[p], postingPosStart[p + 1])
+ * in positions.
+ */
+export class TranscriptSearchIndex {
+  constructor() {
+    this.termIds = new Map(); // term -> term id
+    this.docIds = new Uint32Array(0); // doc index -> episode id
+    this.docIndexById = new Map(); // episode id -> doc index
+    this.docLengths = new Uint32Array(0);
+    this.averageDocLength = 0;
+    this.termDocStart = new Uint32Array(1);
+    this.postingDocs = new Uint32Array(0);
+    this.postingPosStart = new Uint32Array(1);
+    this.positions = new Uint32Array(0);
+    this.stemGroups = new Map(); // stem -> indexed words sharing it
+  }
+
+  /**
+   * Build the index from a Map of episode id to transcript text. With `previous`,
+   * the transcripts whose ids are in `reuse` are copied from that index rather
+   * than read and tokenized again.
+   */
+  build(transcripts, { previous = null, reuse = new Set() } = {}) {
+    const termIds = new Map();
+    const docFrequency = [];
+    const termFrequency = [];
+    const lastDoc = [];
+    const streams = [];
+    const docIds = [];
+    const copiedLengths = [];
+    let totalTokens = 0;
+    let totalPostings = 0;
+
+    const termIdOf = (term) => {
+      let termId = termIds.get(term);
+      if (termId === undefined) {
+        termId = termIds.size;
+        termIds.set(term, termId);
+        docFrequency.push(0);
+        termFrequency.push(0);
+        lastDoc.push(-1);
+      }
+      return termId;
+    };
+
+    // Pass 0: count the postings of documents copied from the previous index,
+    // which come first and keep their relative order
+    const copiedDocs = new Int32Array(previous ? previous.docIds.length : 0).fill(-1); // previous doc index -> doc index
+    if (previous) {
+      for (let oldDoc = 0; oldDoc < previous.docIds.length; oldDoc++) {
+        const episodeId = previous.docIds[oldDoc];
+        if (reuse.has(episodeId) && transcripts.has(episodeId)) {
+          copiedDocs[oldDoc] = docIds.length;
+          docIds.push(episodeId);
+          copiedLengths.push(previous.docLengths[oldDoc]);
+          totalTokens += previous.docLengths[oldDoc];
+        }
+      }
+
+      for (const [term, oldTermId] of previous.termIds) {
+        for (let posting = previous.termDocStart[oldTermId]; posting < previous.termDocStart[oldTermId + 1]; posting++) {
+          if (copiedDocs[previous.postingDocs[posting]] !== -1) {
+            const termId = termIdOf(term);
+            docFrequency[termId]++;
+            termFrequency[termId] += previous.postingPosStart[posting + 1] - previous.postingPosStart[posting];
+            totalPostings++;
+          }
+        }
+      }
+    }
+    const copiedCount = docIds.length;
+
+    // Transcripts still to be tokenized, read one at a time
+    const pending = !previous ? transcripts : (function* () {
+      for (const episodeId of transcripts.keys()) {
+        if (!reuse.has(episodeId) || !previous.docIndexById.has(episodeId)) {
+          yield [episodeId, transcripts.get(episodeId)];
+        }
+      }
+    })();
+
+    // Pass 1: tokenize each transcript into a stream of term ids and gather counts
+    for (const [episodeId, text] of pending) {
+      const docIndex = docIds.length;
+      const tokens = tokenize(text);
+      const stream = new Uint32Array(tokens.length);
+
+      for (let i = 0; i < tokens.length; i++) {
+        const termId = termIdOf(tokens[i]);
+        stream[i] = termId;
+        termFrequency[termId]++;
+        if (lastDoc[termId] !== docIndex) {
+          lastDoc[termId] = docIndex;
+          docFrequency[termId]++;
+          totalPostings++;
+        }
+      }
+
+      docIds.push(episodeId);
+      streams.push(stream);
+      totalTokens += tokens.length;
+    }
+
+    // Lay out postings and positions term by term
+    const termCount = termIds.size;
+    const termDocStart = new Uint32Array(termCount + 1);
+    const docCursor = new Uint32Array(termCount);
+    const posCursor = new Uint32Array(termCount);
+    let docOffset = 0;
+    let posOffset = 0;
+    for (let termId = 0; termId < termCount; termId++) {
+      termDocStart[termId] = docOffset;
+      docCursor[termId] = docOffset;
+      posCursor[termId] = posOffset;
+      docOffset += docFrequency[termId];
+      posOffset += termFrequency[termId];
+    }
+    termDocStart[termCount] = docOffset;
+
+    const postingDocs = new Uint32Array(totalPostings);
+    const postingPosStart = new Uint32Array(totalPostings + 1);
+    const positions = new Uint32Array(totalTokens);
+    const docLengths = new Uint32Array(docIds.length);
+    docLengths.set(copiedLengths);
+    lastDoc.fill(-1);
+
+    // Pass 2: fill postings in document order so each term's postings stay sorted,
+    // starting with the copied documents
+    if (previous) {
+      for (const [term, oldTermId] of previous.termIds) {
+        const termId = termIds.get(term);
+        for (let posting = previous.termDocStart[oldTermId]; posting < previous.termDocStart[oldTermId + 1]; posting++) {
+          const docIndex = copiedDocs[previous.postingDocs[posting]];
+          if (docIndex === -1) continue;
+
+          const termPositions = previous.positions.subarray(previous.postingPosStart[posting], previous.postingPosStart[posting + 1]);
+          const newPosting = docCursor[termId]++;
+          postingDocs[newPosting] = docIndex;
+          postingPosStart[newPosting] = posCursor[termId];
+          positions.set(termPositions, posCursor[termId]);
+          posCursor[termId] += termPositions.length;
+        }
+      }
+    }
+
+    for (let docIndex = copiedCount; docIndex < docIds.length; docIndex++) {
+      const stream = streams[docIndex - copiedCount];
+      docLengths[docIndex] = stream.length;
+
+      for (let position = 0; position < stream.length; position++) {
+        const termId = stream[position];
+        if (lastDoc[termId] !== docIndex) {
+          lastDoc[termId] = docIndex;
+          const posting = docCursor[termId]++;
+          postingDocs[posting] = docIndex;
+          postingPosStart[posting] = posCursor[termId];
+        }
+        positions[posCursor[termId]++] = position;
+      }
+
+      streams[docIndex - copiedCount] = null;
+    }
+    postingPosStart[totalPostings] = totalTokens;
+
+    this.termIds = termIds;
+    this.docIds = Uint32Array.from(docIds);
+    this.docIndexById = new Map(docIds.map((episodeId, docIndex) => [episodeId, docIndex]));
+    this.docLengths = docLengths;
+    this.averageDocLength = docIds.length > 0 ? totalTokens / docIds.length : 0;
+    this.termDocStart = termDocStart;
+    this.postingDocs = postingDocs;
+    this.postingPosStart = postingPosStart;
+    this.positions = positions;
+    this.stemGroups = groupByStem(termIds.keys());
+  }
+
+  get documentCount() {
+    return this.docIds.length;
+  }
+
+  get tokenCount() {
+    return this.positions.length;
+  }
+
+  /**
+   * Every indexed word
+   */
+  vocabulary() {
+    return this.termIds.keys();
+  }
+
+  /**
+   * Number of transcripts containing a term
+   */
+  documentFrequency(term) {
+    const termId = this.termIds.get(term);
+    return termId === undefined ? 0 : this.termDocStart[termId + 1] - this.termDocStart[termId];
+  }
+
+  /**
+   * Indexed words sharing a query word's stem (including the word itself)
+   */
+  variants(token) {
+    return [...new Set([token, ...(this.stemGroups.get(stem(token)) || [])])];
+  }
+
+  /**
+   * Term ids matching a query token. Whole-word lookups are exact; otherwise the
+   * token may appear anywhere inside a term (or only at the end/start when it is
+   * the first/last word of a phrase), mirroring substring search. With `expand`,
+   * words sharing the token's stem match too.
+   */
+  expandToken(token, { wholeWord = false, anchor = 'any', expand = false } = {}) {
+    const matches = new Set();
+    const candidates = expand ? this.variants(token) : [token];
+
+    for (const candidate of candidates) {
+      const termId = this.termIds.get(candidate);
+      if (termId !== undefined) matches.add(termId);
+    }
+
+    if (!wholeWord && anchor !== 'exact') {
+      for (const [term, termId] of this.termIds) {
+        const found = anchor === 'end' ? term.endsWith(token)
+          : anchor === 'start' ? term.startsWith(token)
+          : term.includes(token);
+        if (found) matches.add(termId);
+      }
+    }
+
+    return [...matches];
+  }
+
+  /**
+   * Positions of a term in every document containing it.
+   * Returns a Map of doc index to sorted positions.
+   */
+  termPositions(termId) {
+    const result = new Map();
+    for (let posting = this.termDocStart[termId]; posting < this.termDocStart[termId + 1]; posting++) {
+      result.set(
+        this.postingDocs[posting],
+        this.positions.subarray(this.postingPosStart[posting], this.postingPosStart[posting + 1])
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Positions of any of several term ids, merged per document
+   */
+  slotPositions(termIdList) {
+    if (termIdList.length === 1) {
+      return this.termPositions(termIdList[0]);
+    }
+
+    const merged = new Map();
+    for (const termId of termIdList) {
+      for (const [docIndex, termPositions] of this.termPositions(termId)) {
+        const existing = merged.get(docIndex);
+        merged.set(docIndex, existing ? [...existing, ...termPositions] : [...termPositions]);
+      }
+    }
+    for (const [docIndex, positionList] of merged) {
+      merged.set(docIndex, positionList.sort((a, b) => a - b));
+    }
+    return merged;
+  }
+
+  /**
+   * Find occurrences of a word or phrase.
+   * Returns a Map of episode id to the start positions of each occurrence.
+   */
+  findPhrase(text, { wholeWord = false, expand = false } = {}) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) {
+      return new Map();
+    }
+
+    const slots = tokens.map((token, index) => {
+      let anchor = 'any';
+      if (tokens.length > 1) {
+        anchor = index === 0 ? 'end' : index === tokens.length - 1 ? 'start' : 'exact';
+      }
+      return this.expandToken(token, { wholeWord, anchor, expand });
+    });
+
+    if (slots.some(slot => slot.length === 0)) {
+      return new Map();
+    }
+
+    const slotPositions = slots.map(slot => this.slotPositions(slot));
+    const occurrences = new Map();
+
+    for (const [docIndex, firstPositions] of slotPositions[0]) {
+      const following = slotPositions.slice(1).map(positionsByDoc => positionsByDoc.get(docIndex));
+      if (following.some(positionList => !positionList)) {
+        continue;
+      }
+
+      const followingSets = following.map(positionList => new Set(positionList));
+      const starts = [];
+      for (const start of firstPositions) {
+        if (followingSets.every((positionSet, offset) => positionSet.has(start + offset + 1))) {
+          starts.push(start);
+        }
+      }
+
+      if (starts.length > 0) {
+        occurrences.set(this.docIds[docIndex], starts);
+      }
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * BM25 score contribution of a term occurring `frequency` times in a transcript,
+   * given the number of transcripts the term occurs in
+   */
+  score(episodeId, frequency, docFrequency) {
+    const docIndex = this.docIndexById.get(episodeId);
+    const length = docIndex === undefined ? this.averageDocLength : this.docLengths[docIndex];
+    const idf = Math.log(1 + (this.documentCount - docFrequency + 0.5) / (docFrequency + 0.5));
+    const normalisation = 1 - BM25_B + BM25_B * (length / (this.averageDocLength || 1));
+    return idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * normalisation);
+  }
+}
@@ -4,15 +4,33 @@ import express from 'express';
 import cors from 'cors';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ReadResourceRequestSchema,
+  isInitializeRequest,
 } from '@modelcontextprotocol/sdk/types.js';
 import HPRDataLoader from './data-loader.js';
+import { MemoryEventStore } from './event-store.js';
+import { createRestApi } from './rest-api.js';
+import { buildOpenApiDocument } from './openapi.js';
+import { ApiKeyStore, DailyQuota } from './api-keys.js';
+import { OAuthResourceServer, OAuthError } from './oauth.js';
+import { TOOL_DEFINITIONS } from './tool-definitions.js';
+import { callTool } from './tool-handlers.js';
+import { RESOURCE_DEFINITIONS, RESOURCE_TEMPLATES, readResource } from './resources.js';
+import { PROMPT_DEFINITIONS, getPrompt } from './prompts.js';
+import { complete } from './completions.js';
 
 // Configuration
 const PORT = process.env.PORT || 3000;
@@ -21,10 +39,14 @@ const MAX_CONCURRENT_REQUESTS = 10;
 const REQUEST_TIMEOUT_MS = 60000; // 60 seconds (was 30s)
 const RATE_LIMIT_WINDOW_MS = 60000; // 1 minute
 const RATE_LIMIT_MAX_REQUESTS = 100; // 100 requests per minute per IP
-const MEMORY_THRESHOLD_MB = 450;
+const MEMORY_THRESHOLD_MB = Number(process.env.MEMORY_THRESHOLD_MB) || 450;
 const CIRCUIT_BREAKER_THRESHOLD = 5;
 const CIRCUIT_BREAKER_TIMEOUT_MS = 60000; // 60 seconds (how long it stays OPEN)
 const SSE_HEARTBEAT_INTERVAL_MS = 20000; // 20 seconds to prevent proxy timeout
+const STREAMABLE_SESSION_IDLE_MS = 30 * 60 * 1000; // close Streamable HTTP sessions idle for 30 minutes
+const STREAMABLE_EVENT_HISTORY = 100; // messages kept per session for resuming with Last-Event-ID
+const ADMIN_TOKEN = process.env.HPR_ADMIN_TOKEN || null; // admin key for /reset and /admin endpoints
+const CORS_ORIGINS = process.env.HPR_CORS_ORIGINS ? process.env.HPR_CORS_ORIGINS.split(',').map(origin => origin.trim()) : '*';
 
 // Initialize data loader
 console.error('Loading HPR knowledge base data...');
@@ -32,9 +54,24 @@ const dataLoader = new HPRDataLoader();
 await dataLoader.load();
 console.error('Data loaded successfully!');
 
+// OAuth access tokens from an authorization server, if HPR_OAUTH_ISSUER is set (see oauth.js)
+const oauth = OAuthResourceServer.fromEnvironment(process.env, { defaultResource: `http://localhost:${PORT}` });
+
+// API keys and the anonymous tier (see api-keys.js); with OAuth, clients must
+// sign in unless HPR_ANONYMOUS_ACCESS=true
+const apiKeys = ApiKeyStore.fromEnvironment(process.env, {
+  adminToken: ADMIN_TOKEN,
+  anonymousRateLimit: RATE_LIMIT_MAX_REQUESTS,
+  anonymousAccess: oauth === null,
+});
+const dailyQuota = new DailyQuota();
+
 // Map to store active SSE transports, keyed by connectionId
 const activeSseTransports = new Map();
 
+// Map of Streamable HTTP sessions, keyed by Mcp-Session-Id: { server, transport, lastSeen }
+const streamableSessions = new Map();
+
 // Circuit Breaker class for graceful degradation
 class CircuitBreaker {
   constructor(threshold = CIRCUIT_BREAKER_THRESHOLD, timeout = CIRCUIT_BREAKER_TIMEOUT_MS) {
@@ -122,150 +159,6 @@ setInterval(() => {
   console.error(`Memory: ${heapUsedMB.toFixed(2)}MB, Active requests: ${activeRequests}`);
 }, 30000);
 
-// Helper function to strip HTML tags
-function stripHtml(html) {
-  return html
-    .replace(/<[^>]*>/g, '')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&')
-    .replace(/&quot;/g, '"')
-    .trim();
-}
-
-// Helper to format episode for display
-function formatEpisode(episode, includeNotes = false) {
-  const host = dataLoader.getHost(episode.hostid);
-  const seriesInfo = episode.series !== 0 ? dataLoader.getSeries(episode.series) : null;
-
-  let result = `# HPR${String(episode.id).padStart(4, '0')}: ${episode.title}`;
-
-  // Add match type indicator for fuzzy matches
-  if (episode.matchType === 'fuzzy') {
-    result += ` *(fuzzy match, distance: ${episode.matchDistance})*`;
-  }
-
-  result += `
-
-**Date:** ${episode.date}
-**Host:** ${host?.host || 'Unknown'} (ID: ${episode.hostid})
-**Duration:** ${Math.floor(episode.duration / 60)}:${String(episode.duration % 60).padStart(2, '0')}
-**Tags:** ${episode.tags}
-**License:** ${episode.license}
-**Downloads:** ${episode.downloads}
-
-## Summary
-${episode.summary}`;
-
-  if (seriesInfo) {
-    result += `
-
-## Series
-**${seriesInfo.name}**: ${stripHtml(seriesInfo.description)}`;
-  }
-
-  if (includeNotes && episode.notes) {
-    result += `
-
-## Host Notes
-${stripHtml(episode.notes)}`;
-  }
-
-  return result;
-}
-
-function formatTranscriptSearchResults(results, args) {
-  if (results.length === 0) {
-    return '';
-  }
-
-  const descriptorParts = [];
-  if (args.query) {
-    descriptorParts.push(`phrase="${args.query}"`);
-  }
-  if (Array.isArray(args.terms) && args.terms.length > 0) {
-    descriptorParts.push(`terms=[${args.terms.join(', ')}]`);
-  }
-  if (descriptorParts.length === 0) {
-    descriptorParts.push('"no explicit query provided"');
-  }
-
-  const firstSummary = results[0]?.matchSummary || {};
-  const matchMode = firstSummary.matchMode || 'phrase';
-  const contextLines = args.contextLines ?? 3;
-  const caseSensitive = args.caseSensitive ? 'yes' : 'no';
-  const wholeWord = args.wholeWord ? 'yes' : 'no';
-  const maxMatches = args.maxMatchesPerEpisode ?? 5;
-  const hostFilters = [];
-  if (args.hostId) hostFilters.push(`ID ${args.hostId}`);
-  if (args.hostName) hostFilters.push(`name "${args.hostName}"`);
-
-  let text = `# Transcript Search Results (${results.length} episodes)\n\n`;
-  text += `Searching for: ${descriptorParts.join(' | ')}\n`;
-  text += `Match mode: ${matchMode} | Context lines: ${contextLines} | Case sensitive: ${caseSensitive} | Whole word: ${wholeWord}\n`;
-  text += `Maximum matches per episode: ${maxMatches}\n`;
-  if (hostFilters.length > 0) {
-    text += `Host filter: ${hostFilters.join(' & ')}\n`;
-  }
-  text += '\n## Summary\n';
-
-  text += results.map(result => {
-    const host = dataLoader.getHost(result.episode.hostid);
-    const matchedTerms = result.matchSummary.matchedTerms.length > 0
-      ? result.matchSummary.matchedTerms.join(', ')
-      : 'N/A';
-    const termCounts = Object.entries(result.matchSummary.termHitCounts || {});
-    const termCountText = termCounts.length > 0
-      ? termCounts.map(([term, count]) => `${term}: ${count}`).join(', ')
-      : null;
-    const truncatedNote = result.matchSummary.truncated ? ' (truncated)' : '';
-    let line = `- HPR${String(result.episode.id).padStart(4, '0')}: ${result.episode.title} — ${result.matchSummary.totalMatches} match${result.matchSummary.totalMatches === 1 ? '' : 'es'}${truncatedNote}; terms: ${matchedTerms}`;
-    if (termCountText) {
-      line += ` (${termCountText})`;
-    }
-    line += ` | Host: ${host?.host || 'Unknown'} (${result.episode.date})`;
-    return line;
-  }).join('\n');
-
-  text += '\n\n';
-
-  results.forEach(result => {
-    const host = dataLoader.getHost(result.episode.hostid);
-    const matchedTerms = result.matchSummary.matchedTerms.length > 0
-      ? result.matchSummary.matchedTerms.join(', ')
-      : 'N/A';
-    const termCounts = Object.entries(result.matchSummary.termHitCounts || {});
-    const termCountText = termCounts.length > 0
-      ? termCounts.map(([term, count]) => `${term}: ${count}`).join(', ')
-      : null;
-
-    text += `## HPR${String(result.episode.id).padStart(4, '0')}: ${result.episode.title}
-**Host:** ${host?.host || 'Unknown'} | **Date:** ${result.episode.date}
-**Matched terms:** ${matchedTerms}
-**Matches captured:** ${result.matchSummary.totalMatches}${result.matchSummary.truncated ? ' (additional matches omitted after reaching limit)' : ''}
-`;
-    if (termCountText) {
-      text += `**Term counts:** ${termCountText}\n`;
-    }
-    text += '\n';
-
-    result.matches.forEach((match, index) => {
-      const termInfo = match.terms && match.terms.length > 0
-        ? ` | terms: ${match.terms.join(', ')}`
-        : '';
-      text += `### Match ${index + 1} (line ${match.lineNumber}${termInfo})
-\`\`\`
-${match.context}
-\`\`\`
-
-`;
-    });
-  });
-
-  return text;
-}
-
 // Create MCP server factory
 function createMCPServer() {
   const server = new Server(
@@ -276,7 +169,9 @@ function createMCPServer() {
     {
       capabilities: {
         tools: {},
-        resources: {},
+        resources: { listChanged: true },
+        prompts: {},
+        completions: {},
       },
     }
   );
@@ -284,540 +179,52 @@ function createMCPServer() {
   // List available resources
   server.setRequestHandler(ListResourcesRequestSchema, async () => {
     return {
-      resources: [
-        {
-          uri: 'hpr://stats',
-          mimeType: 'text/plain',
-          name: 'HPR Statistics',
-          description: 'Overall statistics about the HPR knowledge base',
-        },
-        {
-          uri: 'hpr://episodes/recent',
-          mimeType: 'text/plain',
-          name: 'Recent Episodes',
-          description: 'List of 50 most recent HPR episodes',
-        },
-        {
-          uri: 'hpr://hosts/all',
-          mimeType: 'text/plain',
-          name: 'All Hosts',
-          description: 'List of all HPR hosts',
-        },
-        {
-          uri: 'hpr://series/all',
-          mimeType: 'text/plain',
-          name: 'All Series',
-          description: 'List of all HPR series',
-        },
-      ],
+      resources: RESOURCE_DEFINITIONS,
+    };
+  });
+
+  // List resource templates for individual episodes, hosts, series and tags
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return {
+      resourceTemplates: RESOURCE_TEMPLATES,
     };
   });
 
   // Read a resource
   server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-    const uri = request.params.uri;
-
-    if (uri === 'hpr://stats') {
-      const stats = dataLoader.getStats();
-      return {
-        contents: [
-          {
-            uri,
-            mimeType: 'text/plain',
-            text: `# Hacker Public Radio Statistics
-
-**Total Episodes:** ${stats.totalEpisodes}
-**Total Hosts:** ${stats.totalHosts}
-**Total Comments:** ${stats.totalComments}
-**Total Series:** ${stats.totalSeries}
-**Transcripts Available:** ${stats.totalTranscripts}
-
-**Date Range:** ${stats.dateRange.earliest} to ${stats.dateRange.latest}
-
-Hacker Public Radio is a community-driven podcast released under Creative Commons licenses.
-All content is contributed by the community, for the community.`,
-          },
-        ],
-      };
-    }
-
-    if (uri === 'hpr://episodes/recent') {
-      const recent = dataLoader.searchEpisodes('', { limit: 50 });
-      const text = recent.map(ep => {
-        const host = dataLoader.getHost(ep.hostid);
-        return `**HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title} by ${host?.host || 'Unknown'}`;
-      }).join('\n');
-
-      return {
-        contents: [
-          {
-            uri,
-            mimeType: 'text/plain',
-            text: `# Recent Episodes\n\n${text}`,
-          },
-        ],
-      };
-    }
-
-    if (uri === 'hpr://hosts/all') {
-      const hosts = dataLoader.hosts
-        .filter(h => h.valid === 1)
-        .map(h => {
-          const episodeCount = dataLoader.getEpisodesByHost(h.hostid).length;
-          return `**${h.host}** (ID: ${h.hostid}) - ${episodeCount} episodes`;
-        })
-        .join('\n');
-
-      return {
-        contents: [
-          {
-            uri,
-            mimeType: 'text/plain',
-            text: `# All HPR Hosts\n\n${hosts}`,
-          },
-        ],
-      };
-    }
-
-    if (uri === 'hpr://series/all') {
-      const series = dataLoader.series
-        .filter(s => s.valid === 1 && s.private === 0)
-        .map(s => {
-          const episodeCount = dataLoader.getEpisodesInSeries(s.id).length;
-          return `**${s.name}** (ID: ${s.id}) - ${episodeCount} episodes\n  ${stripHtml(s.description)}`;
-        })
-        .join('\n\n');
-
-      return {
-        contents: [
-          {
-            uri,
-            mimeType: 'text/plain',
-            text: `# All HPR Series\n\n${series}`,
-          },
-        ],
-      };
-    }
-
-    throw new Error(`Unknown resource: ${uri}`);
+    return readResource(dataLoader, request.params.uri);
   });
 
   // List available tools
   server.setRequestHandler(ListToolsRequestSchema, async () => {
     return {
-      tools: [
-        {
-          name: 'search_episodes',
-          description: 'Search HPR episodes by keywords in title, summary, tags, or host notes. Can filter by host, series, tags, and date range.',
-          annotations: {
-            readOnlyHint: true,
-            openWorldHint: true
-          },
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'Search query (searches title, summary, tags, and notes)',
-              },
-              limit: {
-                type: 'number',
-                description: 'Maximum number of results to return (default: 20)',
-              },
-              hostId: {
-                type: 'number',
-                description: 'Filter by host ID',
-              },
-              seriesId: {
-                type: 'number',
-                description: 'Filter by series ID',
-              },
-              tag: {
-                type: 'string',
-                description: 'Filter by tag',
-              },
-              fromDate: {
-                type: 'string',
-                description: 'Filter episodes from this date (YYYY-MM-DD)',
-              },
-              toDate: {
-                type: 'string',
-                description: 'Filter episodes to this date (YYYY-MM-DD)',
-              },
-            },
-            required: [],
-          },
-        },
-        {
-          name: 'get_episode',
-          description: 'Get detailed information about a specific HPR episode including transcript if available',
-          annotations: {
-            readOnlyHint: true,
-            openWorldHint: true
-          },
-          inputSchema: {
-            type: 'object',
-            properties: {
-              episodeId: {
-                type: 'number',
-                description: 'Episode ID number',
-              },
-              includeTranscript: {
-                type: 'boolean',
-                description: 'Include full transcript if available (default: true)',
-              },
-              includeComments: {
-                type: 'boolean',
-                description: 'Include community comments (default: true)',
-              },
-            },
-            required: ['episodeId'],
-          },
-        },
-        {
-          name: 'search_transcripts',
-          description: 'Search through episode transcripts using phrases or multiple terms with AND/OR matching and optional host filters',
-          annotations: {
-            readOnlyHint: true,
-            openWorldHint: true
-          },
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'Search phrase to find in transcripts. Combine with terms/matchMode for advanced searches.',
-              },
-              terms: {
-                type: 'array',
-                items: { type: 'string' },
-                description: 'Explicit list of terms to search for; useful when pairing with matchMode "any" or "all".',
-              },
-              matchMode: {
-                type: 'string',
-                enum: ['any', 'all', 'phrase'],
-                description: 'How to interpret the query/terms. "phrase" (default) matches the phrase exactly, "any" matches if any term is present, "all" requires every term.',
-              },
-              limit: {
-                type: 'number',
-                description: 'Maximum number of episodes to return (default: 20)',
-              },
-              contextLines: {
-                type: 'number',
-                description: 'Number of lines of context around matches (default: 3)',
-              },
-              hostId: {
-                type: 'number',
-                description: 'Restrict matches to a given host ID.',
-              },
-              hostName: {
-                type: 'string',
-                description: 'Restrict matches to hosts whose name contains this value.',
-              },
-              caseSensitive: {
-                type: 'boolean',
-                description: 'Perform a case-sensitive search (default: false).',
-              },
-              wholeWord: {
-                type: 'boolean',
-                description: 'Match whole words only (default: false).',
-              },
-              maxMatchesPerEpisode: {
-                type: 'number',
-                description: 'Maximum number of excerpt matches to include per episode (default: 5).',
-              },
-            },
-            required: [],
-          },
-        },
-        {
-          name: 'get_host_info',
-          description: 'Get information about an HPR host including all their episodes',
-          annotations: {
-            readOnlyHint: true,
-            openWorldHint: true
-          },
-          inputSchema: {
-            type: 'object',
-            properties: {
-              hostId: {
-                type: 'number',
-                description: 'Host ID number',
-              },
-              hostName: {
-                type: 'string',
-                description: 'Host name (will search if hostId not provided)',
-              },
-              includeEpisodes: {
-                type: 'boolean',
-                description: 'Include list of all episodes by this host (default: true)',
-              },
-            },
-            required: [],
-          },
-        },
-        {
-          name: 'get_series_info',
-          description: 'Get information about an HPR series including all episodes in the series',
-          annotations: {
-            readOnlyHint: true,
-            openWorldHint: true
-          },
-          inputSchema: {
-            type: 'object',
-            properties: {
-              seriesId: {
-                type: 'number',
-                description: 'Series ID number',
-              },
-            },
-            required: ['seriesId'],
-          },
-        },
-      ],
+      tools: TOOL_DEFINITIONS,
     };
   });
 
   // Handle tool calls
   server.setRequestHandler(CallToolRequestSchema, async (request) => {
     const { name, arguments: args } = request.params;
+    return callTool(dataLoader, name, args);
+  });
 
-    try {
-      if (name === 'search_episodes') {
-        const results = dataLoader.searchEpisodes(args.query || '', {
-          limit: args.limit || 20,
-          hostId: args.hostId,
-          seriesId: args.seriesId,
-          tag: args.tag,
-          fromDate: args.fromDate,
-          toDate: args.toDate,
-        });
-
-        const text = results.length > 0
-          ? results.map(ep => formatEpisode(ep, false)).join('\n\n---\n\n')
-          : 'No episodes found matching your search criteria.';
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `# Search Results (${results.length} episodes found)\n\n${text}`,
-            },
-          ],
-        };
-      }
-
-      if (name === 'get_episode') {
-        const episode = dataLoader.getEpisode(args.episodeId);
-
-        if (!episode) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Episode ${args.episodeId} not found.`,
-              },
-            ],
-          };
-        }
-
-        let text = formatEpisode(episode, true);
-
-        // Add transcript if requested and available
-        if (args.includeTranscript !== false) {
-          const transcript = dataLoader.getTranscript(args.episodeId);
-          if (transcript) {
-            text += `\n\n## Transcript\n\n${transcript}`;
-          } else {
-            text += `\n\n## Transcript\n\n*No transcript available for this episode.*`;
-          }
-        }
-
-        // Add comments if requested
-        if (args.includeComments !== false) {
-          const comments = dataLoader.getCommentsForEpisode(args.episodeId);
-          if (comments.length > 0) {
-            text += `\n\n## Comments (${comments.length})\n\n`;
-            text += comments.map(c =>
-              `**${c.comment_author_name}** (${c.comment_timestamp})${c.comment_title ? ` - ${c.comment_title}` : ''}\n${c.comment_text}`
-            ).join('\n\n---\n\n');
-          }
-        }
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text,
-            },
-          ],
-        };
-      }
-
-      if (name === 'search_transcripts') {
-        const searchOptions = {
-          limit: args.limit || 20,
-          contextLines: args.contextLines ?? 3,
-          terms: args.terms,
-          matchMode: args.matchMode,
-          hostId: args.hostId,
-          hostName: args.hostName,
-          caseSensitive: args.caseSensitive,
-          wholeWord: args.wholeWord,
-          maxMatchesPerEpisode: args.maxMatchesPerEpisode ?? 5,
-        };
-
-        const results = dataLoader.searchTranscripts(args.query || '', searchOptions);
-
-        if (results.length === 0) {
-          const descriptorParts = [];
-          if (args.query) descriptorParts.push(`phrase "${args.query}"`);
-          if (Array.isArray(args.terms) && args.terms.length > 0) descriptorParts.push(`terms [${args.terms.join(', ')}]`);
-          if (args.hostId || args.hostName) descriptorParts.push('host filter applied');
-          const description = descriptorParts.length > 0 ? descriptorParts.join(', ') : 'the provided criteria';
-
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `No transcripts found matching ${description}.`,
-              },
-            ],
-          };
-        }
-
-        const formatArgs = {
-          ...args,
-          contextLines: searchOptions.contextLines,
-          maxMatchesPerEpisode: searchOptions.maxMatchesPerEpisode,
-        };
-
-        const text = formatTranscriptSearchResults(results, formatArgs);
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text,
-            },
-          ],
-        };
-      }
-
-      if (name === 'get_host_info') {
-        let host;
-
-        if (args.hostId) {
-          host = dataLoader.getHost(args.hostId);
-        } else if (args.hostName) {
-          const hosts = dataLoader.searchHosts(args.hostName);
-          host = hosts[0];
-        }
-
-        if (!host) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: 'Host not found.',
-              },
-            ],
-          };
-        }
-
-        let text = `# ${host.host}`;
-
-        // Add match type indicator for fuzzy matches
-        if (host.matchType === 'fuzzy') {
-          text += ` *(fuzzy match, distance: ${host.matchDistance})*`;
-        }
-
-        text += `
-
-**Host ID:** ${host.hostid}
-**Email:** ${host.email}
-**License:** ${host.license}
-**Profile:** ${stripHtml(host.profile)}
-`;
-
-        if (args.includeEpisodes !== false) {
-          const episodes = dataLoader.getEpisodesByHost(host.hostid);
-          text += `\n**Total Episodes:** ${episodes.length}\n\n## Episodes\n\n`;
-
-          // Sort by date (newest first)
-          episodes.sort((a, b) => b.date.localeCompare(a.date));
-
-          text += episodes.map(ep =>
-            `**HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title}\n  ${ep.summary}`
-          ).join('\n\n');
-        }
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text,
-            },
-          ],
-        };
-      }
-
-      if (name === 'get_series_info') {
-        const series = dataLoader.getSeries(args.seriesId);
-
-        if (!series) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Series ${args.seriesId} not found.`,
-              },
-            ],
-          };
-        }
-
-        const episodes = dataLoader.getEpisodesInSeries(args.seriesId);
-
-        let text = `# ${series.name}
-
-**Series ID:** ${series.id}
-**Description:** ${stripHtml(series.description)}
-**Total Episodes:** ${episodes.length}
-
-## Episodes in Series
-
-`;
-
-        // Sort by date
-        episodes.sort((a, b) => a.date.localeCompare(b.date));
-
-        text += episodes.map((ep, index) => {
-          const host = dataLoader.getHost(ep.hostid);
-          return `${index + 1}. **HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title} by ${host?.host || 'Unknown'}\n   ${ep.summary}`;
-        }).join('\n\n');
+  // List available prompts
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return {
+      prompts: PROMPT_DEFINITIONS,
+    };
+  });
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text,
-            },
-          ],
-        };
-      }
+  // Build a prompt, pre-populated with the knowledge base content it is about
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    return getPrompt(dataLoader, name, args);
+  });
 
-      throw new Error(`Unknown tool: ${name}`);
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error: ${error.message}`,
-          },
-        ],
-        isError: true,
-      };
-    }
+  // Complete prompt, resource template and tool arguments
+  server.setRequestHandler(CompleteRequestSchema, async (request) => {
+    const { ref, argument } = request.params;
+    return complete(dataLoader, ref, argument);
   });
 
   return server;
@@ -832,8 +239,11 @@ const mcpServer = createMCPServer();
 // Trust first proxy hop (Render/Heroku) without allowing arbitrary spoofing
 app.set('trust proxy', 1);
 
-// Enable CORS
-app.use(cors());
+// Enable CORS (browser clients need to read the Streamable HTTP session id and quota headers)
+app.use(cors({
+  origin: CORS_ORIGINS,
+  exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset'],
+}));
 
 // Enable compression
 app.use(compression());
@@ -841,8 +251,8 @@ app.use(compression());
 // Apply JSON body parsing globally for the SDK to read POST bodies.
 app.use(express.json());
 
-// Rate limiting
-const limiter = rateLimit({
+// Rate limiting for the public endpoints below, by IP
+const publicLimiter = rateLimit({
   windowMs: RATE_LIMIT_WINDOW_MS,
   max: RATE_LIMIT_MAX_REQUESTS,
   message: 'Too many requests from this IP, please try again later.',
@@ -850,10 +260,8 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
-app.use(limiter);
-
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', publicLimiter, (req, res) => {
   const usage = process.memoryUsage();
   const heapUsedMB = usage.heapUsed / 1024 / 1024;
 
@@ -863,22 +271,159 @@ app.get('/health', (req, res) => {
       used: `${heapUsedMB.toFixed(2)}MB`,
       threshold: `${MEMORY_THRESHOLD_MB}MB`,
     },
+    storage: dataLoader.storage.name,
+    transcripts: dataLoader.transcripts.stats(),
+    sessions: {
+      sse: activeSseTransports.size,
+      streamableHttp: streamableSessions.size,
+    },
+    apiKeys: {
+      keys: apiKeys.size,
+      anonymous: apiKeys.anonymous !== null,
+    },
     activeRequests,
     circuitBreaker: circuitBreaker.state,
   });
 });
 
-// ⭐ NEW ENDPOINT: Circuit breaker reset
-app.post('/reset', (req, res) => {
+// OpenAPI document for the REST API, and a page rendering it
+app.get('/openapi.json', publicLimiter, (req, res) => {
+  res.json(buildOpenApiDocument({ serverUrl: `${req.protocol}://${req.get('host')}` }));
+});
+
+app.get('/docs', publicLimiter, (req, res) => {
+  res.sendFile(fileURLToPath(new URL('./api-docs.html', import.meta.url)));
+});
+
+// OAuth protected resource metadata (RFC 9728), which MCP clients read to find
+// the authorization server; served for the whole server and for each endpoint path
+if (oauth) {
+  app.get(/^\/\.well-known\/oauth-protected-resource(\/.*)?$/, publicLimiter, (req, res) => {
+    res.json(oauth.metadata);
+  });
+}
+
+// Reject a request without valid credentials; with OAuth, the challenge points
+// the client at the protected resource metadata so it can sign in
+function unauthorized(res, message, error = null) {
+  const status = error?.status ?? 401;
+  res.status(status).set('WWW-Authenticate', oauth ? oauth.challenge(error) : 'Bearer');
+  res.json({ error: status === 403 ? 'Forbidden' : 'Unauthorized', message });
+}
+
+// Identify the caller by the API key in an Authorization: Bearer or X-API-Key
+// header, or by an OAuth access token; requests without either use the
+// anonymous tier, if it is enabled
+async function authenticate(req, res, next) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  const key = req.headers['x-api-key'] || bearer?.[1];
+
+  if (!key) {
+    if (!apiKeys.anonymous) {
+      return unauthorized(res, oauth ? 'An access token or API key is required.' : 'An API key is required.');
+    }
+    req.apiKey = apiKeys.anonymous;
+    return next();
+  }
+
+  req.apiKey = apiKeys.authenticate(key);
+  // Any other bearer token may be an OAuth access token
+  if (!req.apiKey && oauth && bearer) {
+    try {
+      const token = await oauth.verifyAccessToken(bearer[1]);
+      req.apiKey = {
+        name: `oauth:${token.subject ?? token.clientId}`,
+        anonymous: false,
+        admin: false,
+        rateLimit: apiKeys.defaultRateLimit,
+        dailyQuota: null,
+        token,
+      };
+    } catch (error) {
+      if (error instanceof OAuthError) {
+        return unauthorized(res, error.message, error);
+      }
+      console.error('Failed to check access token:', error.message);
+      return res.status(503).json({ error: 'Service Unavailable', message: 'Access tokens cannot be checked right now.' });
+    }
+  }
+
+  if (!req.apiKey) {
+    return unauthorized(res, 'Invalid API key.');
+  }
+  next();
+}
+
+// Anonymous callers are counted per IP, everyone else per key
+const callerId = (req) => (req.apiKey.anonymous ? `ip:${req.ip}` : `key:${req.apiKey.name}`);
+
+// Per-minute rate limit of the caller's key
+const limiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: (req) => req.apiKey.rateLimit,
+  keyGenerator: callerId,
+  message: { error: 'Too Many Requests', message: 'Rate limit exceeded, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Daily quota of the caller's key, if it has one
+function enforceDailyQuota(req, res, next) {
+  if (!req.apiKey.dailyQuota) {
+    return next();
+  }
+
+  const usage = dailyQuota.consume(callerId(req), req.apiKey.dailyQuota);
+  res.set({
+    'X-Quota-Limit': String(usage.limit),
+    'X-Quota-Remaining': String(usage.remaining),
+    'X-Quota-Reset': usage.resetsAt,
+  });
+  if (!usage.allowed) {
+    return res.status(429).json({ error: 'Too Many Requests', message: `Daily quota of ${usage.limit} requests used up; it resets at ${usage.resetsAt}.` });
+  }
+  next();
+}
+
+// Every endpoint below needs an API key, unless anonymous access is enabled
+app.use(authenticate, limiter, enforceDailyQuota);
+
+// Require an admin key (HPR_ADMIN_TOKEN, or a key with "admin": true)
+function requireAdmin(req, res, next) {
+  if (!apiKeys.hasAdminKeys) {
+    return res.status(404).json({ error: 'Not Found', message: 'Admin endpoints are disabled. Set HPR_ADMIN_TOKEN or give an API key "admin": true to enable them.' });
+  }
+  if (req.apiKey.anonymous) {
+    return unauthorized(res, 'An admin key is required.');
+  }
+  if (!req.apiKey.admin) {
+    return res.status(403).json({ error: 'Forbidden', message: `API key ${req.apiKey.name} is not an admin key.` });
+  }
+
+  next();
+}
+
+// Circuit breaker reset
+app.post('/reset', requireAdmin, (req, res) => {
   if (circuitBreaker.state === 'OPEN') {
     circuitBreaker.reset();
-    console.error('Circuit breaker manually reset.');
+    console.error(`Circuit breaker manually reset by ${req.apiKey.name}.`);
     res.json({ status: 'ok', message: 'Circuit breaker reset to CLOSED.' });
   } else {
     res.json({ status: 'ok', message: 'Circuit breaker already CLOSED.' });
   }
 });
 
+// Reload the knowledge base without dropping SSE sessions
+app.post('/admin/reload', requireAdmin, async (req, res) => {
+  try {
+    const summary = await dataLoader.reload();
+    res.json({ status: 'ok', ...summary });
+  } catch (error) {
+    res.status(500).json({ error: 'Reload failed', message: error.message });
+  }
+});
+
 // SSE endpoint for MCP
 app.get('/sse', async (req, res) => {
   let pingInterval = null; 
@@ -972,6 +517,114 @@ app.post('/message', async (req, res) => {
   }
 });
 
+// JSON-RPC error body for Streamable HTTP requests rejected before reaching the transport
+function jsonRpcError(message, code = -32000) {
+  return { jsonrpc: '2.0', error: { code, message }, id: null };
+}
+
+// Start a Streamable HTTP session with its own MCP server instance; it is
+// registered under its session id once the initialize request is handled
+async function createStreamableSession() {
+  const session = { server: createMCPServer(), transport: null, lastSeen: Date.now() };
+
+  session.transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    eventStore: new MemoryEventStore({ maxEvents: STREAMABLE_EVENT_HISTORY }),
+    onsessioninitialized: (sessionId) => {
+      streamableSessions.set(sessionId, session);
+      console.error(`New Streamable HTTP session ${sessionId}. Sessions: ${streamableSessions.size}`);
+    },
+  });
+  session.transport.onclose = () => {
+    if (streamableSessions.delete(session.transport.sessionId)) {
+      console.error(`Streamable HTTP session ${session.transport.sessionId} closed. Sessions: ${streamableSessions.size}`);
+    }
+  };
+
+  await session.server.connect(session.transport);
+  return session;
+}
+
+// Streamable HTTP endpoint for MCP: POST sends messages (an initialize request
+// without an Mcp-Session-Id header starts a session), GET opens the session's
+// notification stream (resumed from the Last-Event-ID header), DELETE ends it
+app.all('/mcp', async (req, res) => {
+  const sessionId = req.headers['mcp-session-id'];
+  let session = sessionId ? streamableSessions.get(sessionId) : null;
+
+  if (sessionId && !session) {
+    return res.status(404).json(jsonRpcError('Session not found. Start a new session with an initialize request.', -32001));
+  }
+  if (!session && !(req.method === 'POST' && isInitializeRequest(req.body))) {
+    return res.status(400).json(jsonRpcError('Bad Request: no Mcp-Session-Id header. Start a session with an initialize request.'));
+  }
+
+  try {
+    // Check system health
+    checkMemory();
+    checkConcurrency();
+  } catch (error) {
+    return res.status(503).json({ ...jsonRpcError(error.message), circuitBreaker: circuitBreaker.state });
+  }
+
+  activeRequests++;
+  res.on('close', () => {
+    activeRequests--;
+  });
+
+  try {
+    if (!session) {
+      session = await createStreamableSession();
+    }
+    session.lastSeen = Date.now();
+
+    await circuitBreaker.execute(() => session.transport.handleRequest(req, res, req.body));
+
+    // Keep the notification stream alive through proxies, and the session with it
+    if (req.method === 'GET' && !res.writableEnded) {
+      const pingInterval = setInterval(() => {
+        session.lastSeen = Date.now();
+        res.write(':\n\n');
+      }, SSE_HEARTBEAT_INTERVAL_MS);
+      res.on('close', () => clearInterval(pingInterval));
+    }
+  } catch (error) {
+    console.error('Streamable HTTP error:', error.message);
+    if (!res.headersSent) {
+      res.status(503).json({ ...jsonRpcError(error.message), circuitBreaker: circuitBreaker.state });
+    } else if (!res.writableEnded) {
+      res.end();
+    }
+  }
+});
+
+// REST/JSON API for clients that don't speak MCP (see rest-api.js)
+app.use('/api/v1', (req, res, next) => {
+  try {
+    // Check system health
+    checkMemory();
+    checkConcurrency();
+  } catch (error) {
+    return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+  }
+
+  activeRequests++;
+  res.on('close', () => {
+    activeRequests--;
+  });
+  next();
+}, createRestApi(dataLoader));
+
+// Close Streamable HTTP sessions whose clients went away without ending them
+setInterval(() => {
+  const idleSince = Date.now() - STREAMABLE_SESSION_IDLE_MS;
+  for (const session of streamableSessions.values()) {
+    if (session.lastSeen < idleSince) {
+      session.transport.close().catch(error => console.error('Failed to close idle session:', error.message));
+    }
+  }
+}, 60000);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Express error:', err);
@@ -984,14 +637,48 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
   console.error(`HPR Knowledge Base MCP Server running on http://localhost:${PORT}`);
+  console.error(`Streamable HTTP endpoint: http://localhost:${PORT}/mcp`);
   console.error(`SSE endpoint: http://localhost:${PORT}/sse`);
+  console.error(`REST API: http://localhost:${PORT}/api/v1 (docs: /docs, OpenAPI: /openapi.json)`);
   console.error(`Health check: http://localhost:${PORT}/health`);
   console.error(`Configuration:`);
   console.error(`  - Max concurrent requests: ${MAX_CONCURRENT_REQUESTS}`);
   console.error(`  - Request timeout: ${REQUEST_TIMEOUT_MS}ms`);
-  console.error(`  - Rate limit: ${RATE_LIMIT_MAX_REQUESTS} requests per ${RATE_LIMIT_WINDOW_MS / 1000}s`);
+  console.error(`  - API keys: ${apiKeys.size}${apiKeys.hasAdminKeys ? ' (admin endpoints enabled)' : ''}`);
+  if (oauth) {
+    console.error(`  - OAuth: access tokens for ${oauth.resource} from ${oauth.issuer}${oauth.localKeys ? ' (local JWK Set)' : ''}`);
+  }
+  console.error(apiKeys.anonymous
+    ? `  - Anonymous rate limit: ${apiKeys.anonymous.rateLimit} requests per ${RATE_LIMIT_WINDOW_MS / 1000}s per IP${apiKeys.anonymous.dailyQuota ? `, ${apiKeys.anonymous.dailyQuota} per day` : ''}`
+    : `  - Anonymous access: disabled (an API key${oauth ? ' or access token' : ''} is required)`);
   console.error(`  - Memory threshold: ${MEMORY_THRESHOLD_MB}MB`);
   console.error(`  - SSE Heartbeat: ${SSE_HEARTBEAT_INTERVAL_MS / 1000}s`);
+  console.error(`  - Streamable HTTP session idle timeout: ${STREAMABLE_SESSION_IDLE_MS / 60000}min`);
+});
+
+// Hot reload: on file changes (unless HPR_WATCH=false), SIGHUP or /admin/reload,
+// swap in the reloaded knowledge base and tell every SSE and Streamable HTTP client its resources have changed
+dataLoader.on('reload', (summary) => {
+  console.error(`Knowledge base reloaded: ${summary.episodes} episodes, ${summary.transcripts} transcripts (${summary.durationMs}ms)`);
+  for (const transport of activeSseTransports.values()) {
+    transport.send({ jsonrpc: '2.0', method: 'notifications/resources/list_changed' }).catch(error => {
+      console.error(`Failed to notify SSE session ${transport.sessionId}:`, error.message);
+    });
+  }
+  for (const [sessionId, session] of streamableSessions) {
+    session.server.sendResourceListChanged().catch(error => {
+      console.error(`Failed to notify Streamable HTTP session ${sessionId}:`, error.message);
+    });
+  }
+});
+
+if (process.env.HPR_WATCH !== 'false') {
+  dataLoader.watch();
+}
+
+process.on('SIGHUP', () => {
+  console.error('SIGHUP received, reloading knowledge base...');
+  dataLoader.reload().catch(error => console.error(error.message));
 });
 
 // Graceful shutdown
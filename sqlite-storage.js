@@ -0,0 +1,389 @@
+import { createRequire } from 'module';
+import { basename, dirname } from 'path';
+import { renameSync, rmSync } from 'fs';
+import { EpisodeSearchIndex, TranscriptSearchIndex, EPISODE_FIELDS, episodeFieldTokens } from './search-index.js';
+import { tokenize, groupByStem } from './text-analysis.js';
+import { SCHEMAS } from './validation.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * SQLite storage backend: the whole knowledge base in one database file, built
+ * by `npm run import:sqlite`. Episodes and transcripts are searched through
+ * FTS5 indexes instead of in-memory ones.
+ *
+ * Tables:
+ * - episodes, hosts, comments, series: one column per JSON field
+ * - transcripts: episode_id, header (JSON), body, size (bytes), token_count
+ * - transcript_fts: FTS5 index of each transcript's words (rowid = episode id)
+ * - transcript_vocab, transcript_terms: fts5vocab views of transcript_fts
+ *   (per-word document counts, and the position of every word)
+ * - episode_fts: FTS5 index of the words of each episode's title, tags, summary
+ *   and notes (rowid = episode id)
+ * - episode_vocab, episode_terms: fts5vocab views of episode_fts
+ * - episode_lengths: episode_id and the number of words in each of those fields
+ */
+
+// Bump when the tables change, so an old database is rebuilt rather than misread
+const SCHEMA_VERSION = 2;
+
+// Words whose episode lists SqliteEpisodeIndex keeps in memory
+const EPISODE_DOCUMENT_CACHE_TERMS = 1000;
+
+const RECORD_COLLECTIONS = ['episodes', 'hosts', 'comments', 'series'];
+
+/**
+ * Open a database with better-sqlite3, an optional dependency
+ */
+function openDatabase(path, options = {}) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  return new Database(path, options);
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+export class SqliteStorage {
+  constructor({ path }) {
+    this.name = 'sqlite';
+    this.path = path;
+    this.connection = null;
+  }
+
+  /**
+   * The open database, opened read-only on first use
+   */
+  get db() {
+    if (!this.connection) {
+      const db = openDatabase(this.path, { readonly: true, fileMustExist: true });
+      const version = db.pragma('user_version', { simple: true });
+      if (version !== SCHEMA_VERSION) {
+        db.close();
+        throw new Error(`${this.path} has schema version ${version}, expected ${SCHEMA_VERSION} (rebuild it with npm run import:sqlite)`);
+      }
+      this.connection = db;
+    }
+    return this.connection;
+  }
+
+  source(collection) {
+    return `${basename(this.path)}:${collection}`;
+  }
+
+  transcriptSource(episodeId) {
+    return `${basename(this.path)}:transcripts/${episodeId}`;
+  }
+
+  loadRecords(collection) {
+    if (!RECORD_COLLECTIONS.includes(collection)) {
+      throw new Error(`Unknown collection "${collection}"`);
+    }
+    return this.db.prepare(`SELECT * FROM ${collection} ORDER BY rowid`).all();
+  }
+
+  /**
+   * Always reads every transcript: the database is replaced as a whole
+   */
+  loadTranscripts(store, onError) {
+    const manifest = new Map(); // episode id -> { size }
+    let rows;
+    let readBody;
+    try {
+      rows = this.db.prepare('SELECT episode_id, header, size FROM transcripts ORDER BY episode_id').all();
+      readBody = this.db.prepare('SELECT body FROM transcripts WHERE episode_id = ?').pluck();
+    } catch (error) {
+      onError(this.source('transcripts'), error);
+      return { manifest, reused: new Set() };
+    }
+
+    for (const row of rows) {
+      try {
+        store.addSource(row.episode_id, {
+          size: row.size,
+          header: row.header ? JSON.parse(row.header) : null,
+          read: () => readBody.get(row.episode_id),
+        });
+        manifest.set(row.episode_id, { size: row.size });
+      } catch (error) {
+        onError(this.transcriptSource(row.episode_id), error);
+      }
+    }
+
+    return { manifest, reused: new Set() };
+  }
+
+  buildEpisodeIndex() {
+    const index = new SqliteEpisodeIndex(this.db);
+    index.build();
+    return index;
+  }
+
+  buildTranscriptIndex() {
+    const index = new SqliteTranscriptIndex(this.db);
+    index.build();
+    return index;
+  }
+
+  watchPaths() {
+    return [{ directory: dirname(this.path), filename: basename(this.path) }];
+  }
+
+  close() {
+    this.connection?.close();
+    this.connection = null;
+  }
+}
+
+/**
+ * EpisodeSearchIndex backed by the database's FTS5 index. Only the vocabulary
+ * and field lengths are held in memory; the episodes containing a word are read
+ * per query, and kept for the most recently used words.
+ */
+export class SqliteEpisodeIndex extends EpisodeSearchIndex {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.termDocCounts = new Map(); // term -> number of episodes containing it
+    this.documentCache = new Map(); // term -> documents(term), least recently used first
+  }
+
+  build() {
+    const rows = this.db.prepare(`SELECT episode_id, ${EPISODE_FIELDS.join(', ')} FROM episode_lengths`).all();
+    this.documentCount = rows.length;
+    this.fieldLengths = new Map();
+    for (const { episode_id: episodeId, ...lengths } of rows) {
+      this.fieldLengths.set(episodeId, lengths);
+    }
+    for (const field of EPISODE_FIELDS) {
+      const total = rows.reduce((sum, row) => sum + row[field], 0);
+      this.averageFieldLengths[field] = rows.length > 0 ? total / rows.length : 0;
+    }
+
+    this.termDocCounts = new Map(this.db.prepare('SELECT term, doc FROM episode_vocab').raw().all());
+    this.stemGroups = groupByStem(this.termDocCounts.keys());
+    this.documentCache = new Map();
+
+    this.documentsQuery = this.db.prepare('SELECT doc, col, COUNT(*) FROM episode_terms WHERE term = ? GROUP BY doc, col').raw();
+  }
+
+  vocabulary() {
+    return this.termDocCounts.keys();
+  }
+
+  get termCount() {
+    return this.termDocCounts.size;
+  }
+
+  documentFrequency(term) {
+    return this.termDocCounts.get(term) || 0;
+  }
+
+  documents(term) {
+    let documents = this.documentCache.get(term);
+    if (documents) {
+      this.documentCache.delete(term);
+    } else {
+      documents = new Map();
+      if (this.termDocCounts.has(term)) {
+        for (const [episodeId, field, count] of this.documentsQuery.iterate(term)) {
+          const frequencies = documents.get(episodeId);
+          if (frequencies) {
+            frequencies[field] = count;
+          } else {
+            documents.set(episodeId, { [field]: count });
+          }
+        }
+      }
+      if (this.documentCache.size >= EPISODE_DOCUMENT_CACHE_TERMS) {
+        this.documentCache.delete(this.documentCache.keys().next().value);
+      }
+    }
+    this.documentCache.set(term, documents);
+    return documents;
+  }
+}
+
+/**
+ * TranscriptSearchIndex backed by the database's FTS5 index. Only the vocabulary
+ * and document lengths are held in memory; word positions are read per query.
+ */
+export class SqliteTranscriptIndex extends TranscriptSearchIndex {
+  constructor(db) {
+    super();
+    this.db = db;
+    this.terms = []; // term id -> term
+    this.termDocCounts = new Uint32Array(0);
+    this.totalTokens = 0;
+  }
+
+  build() {
+    const docs = this.db.prepare('SELECT episode_id, token_count FROM transcripts ORDER BY episode_id').raw().all();
+    this.docIds = Uint32Array.from(docs.map(([episodeId]) => episodeId));
+    this.docIndexById = new Map(docs.map(([episodeId], docIndex) => [episodeId, docIndex]));
+    this.docLengths = Uint32Array.from(docs.map(([, tokenCount]) => tokenCount));
+    this.totalTokens = this.docLengths.reduce((sum, length) => sum + length, 0);
+    this.averageDocLength = docs.length > 0 ? this.totalTokens / docs.length : 0;
+
+    const vocabulary = this.db.prepare('SELECT term, doc FROM transcript_vocab').raw().all();
+    this.terms = vocabulary.map(([term]) => term);
+    this.termIds = new Map(this.terms.map((term, termId) => [term, termId]));
+    this.termDocCounts = Uint32Array.from(vocabulary.map(([, docCount]) => docCount));
+    this.stemGroups = groupByStem(this.terms);
+
+    this.positionsQuery = this.db.prepare('SELECT doc, offset FROM transcript_terms WHERE term = ?').raw();
+  }
+
+  get tokenCount() {
+    return this.totalTokens;
+  }
+
+  documentFrequency(term) {
+    const termId = this.termIds.get(term);
+    return termId === undefined ? 0 : this.termDocCounts[termId];
+  }
+
+  termPositions(termId) {
+    const result = new Map();
+    for (const [episodeId, offset] of this.positionsQuery.iterate(this.terms[termId])) {
+      const docIndex = this.docIndexById.get(episodeId);
+      const positions = result.get(docIndex);
+      if (positions) {
+        positions.push(offset);
+      } else {
+        result.set(docIndex, [offset]);
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * SQLite column type for a field's values
+ */
+function columnType(values) {
+  const present = values.filter(value => value !== undefined && value !== null);
+  if (present.length > 0 && present.every(Number.isInteger)) return 'INTEGER';
+  if (present.length > 0 && present.every(value => typeof value === 'number')) return 'REAL';
+  return 'TEXT';
+}
+
+function columnValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Create a table with a column for every field found in the records, and fill it
+ */
+function writeRecords(db, collection, records) {
+  const { idField } = SCHEMAS[collection];
+  const fields = [...new Set(records.flatMap(record => Object.keys(record)))];
+  if (!fields.includes(idField)) {
+    fields.push(idField);
+  }
+
+  const columns = fields.map(field => `${quoteIdentifier(field)} ${columnType(records.map(record => record[field]))}`);
+  db.exec(`CREATE TABLE ${collection} (${columns.join(', ')})`);
+  db.exec(`CREATE INDEX ${collection}_${idField} ON ${collection} (${quoteIdentifier(idField)})`);
+
+  const insert = db.prepare(`INSERT INTO ${collection} VALUES (${fields.map(() => '?').join(', ')})`);
+  for (const record of records) {
+    insert.run(fields.map(field => columnValue(record[field])));
+  }
+}
+
+/**
+ * Write a loaded knowledge base (records and transcripts) to a new SQLite
+ * database at `path`, replacing any existing one only once it is complete.
+ * Returns the number of records written per table.
+ */
+export function writeSqliteDatabase(loader, path) {
+  const tempPath = `${path}.tmp`;
+  rmSync(tempPath, { force: true });
+
+  const db = openDatabase(tempPath);
+  const counts = {};
+  try {
+    db.pragma('journal_mode = OFF');
+    db.pragma('synchronous = OFF');
+
+    db.transaction(() => {
+      for (const collection of RECORD_COLLECTIONS) {
+        writeRecords(db, collection, loader[collection]);
+        counts[collection] = loader[collection].length;
+      }
+
+      db.exec(`
+        CREATE TABLE transcripts (episode_id INTEGER PRIMARY KEY, header TEXT, body TEXT NOT NULL, size INTEGER NOT NULL, token_count INTEGER NOT NULL);
+        CREATE VIRTUAL TABLE transcript_fts USING fts5(words, content='', tokenize='unicode61 remove_diacritics 0');
+        CREATE VIRTUAL TABLE transcript_vocab USING fts5vocab(transcript_fts, row);
+        CREATE VIRTUAL TABLE transcript_terms USING fts5vocab(transcript_fts, instance);
+      `);
+
+      const insertTranscript = db.prepare('INSERT INTO transcripts VALUES (?, ?, ?, ?, ?)');
+      // Index our own tokens rather than the raw text, so word positions match tokenize()
+      const insertWords = db.prepare('INSERT INTO transcript_fts (rowid, words) VALUES (?, ?)');
+      for (const episodeId of loader.transcripts.keys()) {
+        const body = loader.transcripts.get(episodeId);
+        const header = loader.transcripts.header(episodeId);
+        const tokens = tokenize(body);
+        insertTranscript.run(episodeId, header ? JSON.stringify(header) : null, body, Buffer.byteLength(body), tokens.length);
+        insertWords.run(episodeId, tokens.join(' '));
+      }
+      counts.transcripts = loader.transcripts.size;
+
+      db.exec(`
+        CREATE TABLE episode_lengths (episode_id INTEGER PRIMARY KEY, ${EPISODE_FIELDS.map(field => `${field} INTEGER NOT NULL`).join(', ')});
+        CREATE VIRTUAL TABLE episode_fts USING fts5(${EPISODE_FIELDS.join(', ')}, content='', tokenize='unicode61 remove_diacritics 0');
+        CREATE VIRTUAL TABLE episode_vocab USING fts5vocab(episode_fts, row);
+        CREATE VIRTUAL TABLE episode_terms USING fts5vocab(episode_fts, instance);
+      `);
+
+      // Our own tokens again, so episode searches match those with JSON storage
+      const placeholders = EPISODE_FIELDS.map(() => '?').join(', ');
+      const insertLengths = db.prepare(`INSERT INTO episode_lengths VALUES (?, ${placeholders})`);
+      const insertEpisodeWords = db.prepare(`INSERT INTO episode_fts (rowid, ${EPISODE_FIELDS.join(', ')}) VALUES (?, ${placeholders})`);
+      const indexed = new Set();
+      for (const episode of loader.episodes) {
+        // Duplicate ids are reported by validation; the first record is searched
+        if (indexed.has(episode.id)) continue;
+        indexed.add(episode.id);
+        const fieldTokens = episodeFieldTokens(episode);
+        insertLengths.run(episode.id, ...EPISODE_FIELDS.map(field => fieldTokens[field].length));
+        insertEpisodeWords.run(episode.id, ...EPISODE_FIELDS.map(field => fieldTokens[field].join(' ')));
+      }
+
+      db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    })();
+
+    // Every word must have been indexed as one FTS5 token for positions to line up
+    const indexedTokens = db.prepare('SELECT SUM(cnt) FROM transcript_vocab').pluck().get() || 0;
+    const expectedTokens = db.prepare('SELECT SUM(token_count) FROM transcripts').pluck().get() || 0;
+    if (indexedTokens !== expectedTokens) {
+      throw new Error(`Transcript index has ${indexedTokens} words, expected ${expectedTokens}`);
+    }
+    const indexedEpisodeTokens = db.prepare('SELECT SUM(cnt) FROM episode_vocab').pluck().get() || 0;
+    const expectedEpisodeTokens = db.prepare(`SELECT SUM(${EPISODE_FIELDS.join(' + ')}) FROM episode_lengths`).pluck().get() || 0;
+    if (indexedEpisodeTokens !== expectedEpisodeTokens) {
+      throw new Error(`Episode index has ${indexedEpisodeTokens} words, expected ${expectedEpisodeTokens}`);
+    }
+
+    db.exec('VACUUM');
+    db.close();
+  } catch (error) {
+    db.close();
+    rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  renameSync(tempPath, path);
+  return counts;
+}
@@ -0,0 +1,145 @@
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { EpisodeSearchIndex, TranscriptSearchIndex } from './search-index.js';
+import { SqliteStorage } from './sqlite-storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Storage backends for HPRDataLoader. A backend reads the knowledge base's
+ * records and transcripts, which the loader then indexes and serves:
+ *
+ * - source(collection): where a collection ('episodes', 'hosts', 'comments',
+ *   'series' or 'transcripts') is stored, for messages
+ * - transcriptSource(episodeId): where an episode's transcript is stored
+ * - loadRecords(collection): array of records; throws if unreadable
+ * - loadTranscripts(store, onError, previous): add every transcript to a transcript
+ *   store, calling onError(source, error) for each one that cannot be read.
+ *   `previous` is the { store, manifest } of the last load, if any; transcripts
+ *   that have not changed since may be copied from it. Returns { manifest, reused }:
+ *   a Map of episode id to a { size, hash, ... } entry describing each transcript,
+ *   and the Set of ids copied from `previous`.
+ * - buildEpisodeIndex(episodes): search index over the episode records' title,
+ *   summary, tags and notes
+ * - buildTranscriptIndex(transcripts, { previous, reuse }): positional search index
+ *   over the transcripts, optionally copying the `reuse` ids from a previous index
+ * - watchPaths(): { directory, filename } pairs whose changes should trigger a
+ *   reload (filename null for any file in the directory)
+ * - close(): release any open files
+ */
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+export const DEFAULT_SQLITE_PATH = join(__dirname, 'hpr.db');
+
+/**
+ * The hpr_metadata/*.json files and hpr_transcripts/*.txt files
+ */
+export class JsonStorage {
+  constructor({ root = __dirname } = {}) {
+    this.name = 'json';
+    this.root = root;
+  }
+
+  source(collection) {
+    return collection === 'transcripts' ? 'hpr_transcripts' : `hpr_metadata/${collection}.json`;
+  }
+
+  transcriptSource(episodeId) {
+    return `hpr_transcripts/hpr${String(episodeId).padStart(4, '0')}.txt`;
+  }
+
+  loadRecords(collection) {
+    const data = JSON.parse(readFileSync(join(this.root, this.source(collection)), 'utf-8'));
+    if (!Array.isArray(data)) {
+      throw new Error('expected a JSON array of records');
+    }
+    return data;
+  }
+
+  /**
+   * Files whose size and modification time match the previous manifest are
+   * copied without being read; other files are read and hashed, and only copied
+   * if their content is unchanged.
+   */
+  loadTranscripts(store, onError, previous = null) {
+    const manifest = new Map(); // episode id -> { file, size, mtimeMs, hash }
+    const reused = new Set();
+    const transcriptsDir = join(this.root, 'hpr_transcripts');
+    let files;
+    try {
+      files = readdirSync(transcriptsDir);
+    } catch (error) {
+      onError(this.source('transcripts'), error);
+      return { manifest, reused };
+    }
+
+    for (const file of files) {
+      // Extract episode ID from filename (e.g., hpr0016.txt -> 16)
+      const match = file.match(/hpr(\d+)\.txt$/);
+      if (!match) continue;
+
+      const episodeId = parseInt(match[1], 10);
+      const filePath = join(transcriptsDir, file);
+      try {
+        const { size, mtimeMs } = statSync(filePath);
+        const known = previous?.manifest.get(episodeId);
+        if (known && known.file === file && known.size === size && known.mtimeMs === mtimeMs &&
+          store.adopt(episodeId, previous.store)) {
+          manifest.set(episodeId, known);
+          reused.add(episodeId);
+          continue;
+        }
+
+        const text = readFileSync(filePath, 'utf-8');
+        const hash = createHash('sha256').update(text).digest('hex');
+        if (known && known.file === file && known.hash === hash && store.adopt(episodeId, previous.store)) {
+          reused.add(episodeId);
+        } else {
+          store.add(episodeId, filePath, text);
+        }
+        manifest.set(episodeId, { file, size, mtimeMs, hash });
+      } catch (error) {
+        onError(`hpr_transcripts/${file}`, error);
+      }
+    }
+
+    return { manifest, reused };
+  }
+
+  buildEpisodeIndex(episodes) {
+    const index = new EpisodeSearchIndex();
+    index.build(episodes);
+    return index;
+  }
+
+  buildTranscriptIndex(transcripts, { previous = null, reuse = new Set() } = {}) {
+    const index = new TranscriptSearchIndex();
+    index.build(transcripts, { previous, reuse });
+    return index;
+  }
+
+  watchPaths() {
+    return ['hpr_metadata', 'hpr_transcripts'].map(directory => ({ directory: join(this.root, directory), filename: null }));
+  }
+
+  close() {}
+}
+
+/**
+ * Create the storage backend named by `storage` ('json' or 'sqlite').
+ * `sqlitePath` is the database built by `npm run import:sqlite`; `root` is the
+ * directory holding hpr_metadata/ and hpr_transcripts/.
+ */
+export function createStorage({ storage = 'json', sqlitePath = DEFAULT_SQLITE_PATH, root } = {}) {
+  if (storage === 'sqlite') {
+    return new SqliteStorage({ path: sqlitePath });
+  }
+  if (storage === 'json') {
+    return new JsonStorage({ root });
+  }
+  throw new Error(`Unknown storage backend "${storage}" (expected ${STORAGE_BACKENDS.join(' or ')})`);
+}
@@ -0,0 +1,258 @@
+/**
+ * Structured tool results: the JSON Schema of each tool's structuredContent
+ * (declared as its outputSchema) and the functions that build it from
+ * HPRDataLoader records. HTML fields (notes, profile, description) are passed
+ * through as published.
+ */
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+const PAGE_PROPERTIES = {
+  total: { type: 'integer', description: 'Number of results across all pages' },
+  offset: { type: 'integer', description: 'Position of the first result on this page' },
+  nextCursor: { ...nullable('string'), description: 'Pass as `cursor` to get the next page; null on the last page' },
+};
+
+export const EPISODE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    title: { type: 'string' },
+    date: { type: 'string', description: 'YYYY-MM-DD' },
+    hostId: { type: 'integer' },
+    hostName: nullable('string'),
+    seriesId: { ...nullable('integer'), description: 'null if the episode is not part of a series' },
+    seriesName: nullable('string'),
+    duration: { type: 'integer', description: 'Length in seconds' },
+    tags: { type: 'array', items: { type: 'string' } },
+    license: { type: 'string' },
+    downloads: { type: 'integer' },
+    summary: { type: 'string' },
+    hasTranscript: { type: 'boolean' },
+    audioUrl: { ...nullable('string'), description: 'Audio the transcript was made from' },
+    transcribed: { ...nullable('string'), description: 'When the transcript was made' },
+    notes: { type: 'string', description: 'Host notes (HTML); only in get_episode' },
+    score: { type: 'number', description: 'Relevance score of a ranked match' },
+    matchType: { type: 'string', enum: ['exact', 'fuzzy'] },
+    matchDistance: { type: 'integer', description: 'Typos corrected in a fuzzy match' },
+  },
+  required: ['id', 'title', 'date', 'hostId', 'hostName', 'seriesId', 'duration', 'tags', 'license', 'summary', 'hasTranscript'],
+};
+
+const HOST_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    email: { type: 'string' },
+    license: { type: 'string' },
+    profile: { type: 'string', description: 'HTML' },
+    matchType: { type: 'string', enum: ['exact', 'fuzzy'] },
+    matchDistance: { type: 'integer' },
+  },
+  required: ['id', 'name'],
+};
+
+const SERIES_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    description: { type: 'string', description: 'HTML' },
+  },
+  required: ['id', 'name'],
+};
+
+export const COMMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    author: { type: 'string' },
+    timestamp: { type: 'string' },
+    title: { type: 'string' },
+    text: { type: 'string' },
+  },
+  required: ['id', 'author', 'timestamp', 'text'],
+};
+
+const FACET_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      value: { type: ['string', 'integer'] },
+      label: { type: 'string' },
+      count: { type: 'integer' },
+    },
+    required: ['value', 'count'],
+  },
+};
+
+const TRANSCRIPT_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    episode: EPISODE_SCHEMA,
+    score: { type: 'number' },
+    matchMode: { type: 'string' },
+    matchedTerms: { type: 'array', items: { type: 'string' } },
+    termHitCounts: { type: 'object', additionalProperties: { type: 'integer' } },
+    totalMatches: { type: 'integer' },
+    truncated: { type: 'boolean', description: 'More matches were found than maxMatchesPerEpisode' },
+    proximityHits: { type: 'integer' },
+    matches: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          lineNumber: { type: 'integer', description: 'Line of the transcript the match starts on (1-based)' },
+          terms: { type: 'array', items: { type: 'string' } },
+          window: { type: 'string', description: 'Words of a withinWords match' },
+          context: { type: 'string' },
+        },
+        required: ['lineNumber', 'terms', 'context'],
+      },
+    },
+  },
+  required: ['episode', 'score', 'matchedTerms', 'totalMatches', 'matches'],
+};
+
+// outputSchema of each tool
+export const OUTPUT_SCHEMAS = {
+  search_episodes: {
+    type: 'object',
+    properties: {
+      ...PAGE_PROPERTIES,
+      episodes: { type: 'array', items: EPISODE_SCHEMA },
+      facets: {
+        ...nullable('object'),
+        description: 'Counts across all matching episodes; first page only',
+        properties: { host: FACET_SCHEMA, series: FACET_SCHEMA, year: FACET_SCHEMA, tag: FACET_SCHEMA, license: FACET_SCHEMA },
+      },
+      suggestions: { type: 'array', items: { type: 'string' }, description: '"Did you mean" queries when nothing matched' },
+    },
+    required: ['total', 'offset', 'nextCursor', 'episodes', 'facets', 'suggestions'],
+  },
+  get_episode: {
+    type: 'object',
+    properties: {
+      episode: { ...EPISODE_SCHEMA, type: ['object', 'null'], description: 'null if there is no such episode' },
+      transcript: { ...nullable('string'), description: 'null if unavailable; omitted unless includeTranscript' },
+      comments: { type: 'array', items: COMMENT_SCHEMA, description: 'Omitted unless includeComments' },
+    },
+    required: ['episode'],
+  },
+  search_transcripts: {
+    type: 'object',
+    properties: {
+      ...PAGE_PROPERTIES,
+      results: { type: 'array', items: TRANSCRIPT_RESULT_SCHEMA },
+      suggestions: { type: 'array', items: { type: 'string' }, description: '"Did you mean" queries when nothing matched' },
+    },
+    required: ['total', 'offset', 'nextCursor', 'results', 'suggestions'],
+  },
+  get_host_info: {
+    type: 'object',
+    properties: {
+      ...PAGE_PROPERTIES,
+      host: { ...HOST_SCHEMA, type: ['object', 'null'], description: 'null if no host matched' },
+      episodes: { type: 'array', items: EPISODE_SCHEMA, description: 'Newest first; omitted unless includeEpisodes' },
+    },
+    required: ['host'],
+  },
+  get_series_info: {
+    type: 'object',
+    properties: {
+      ...PAGE_PROPERTIES,
+      series: { ...SERIES_SCHEMA, type: ['object', 'null'], description: 'null if there is no such series' },
+      episodes: { type: 'array', items: EPISODE_SCHEMA, description: 'In broadcast order' },
+    },
+    required: ['series'],
+  },
+};
+
+/**
+ * Episode record as structured content. `includeNotes` adds the host notes.
+ */
+export function episodeData(loader, episode, { includeNotes = false } = {}) {
+  const header = loader.getTranscriptHeader(episode.id);
+  const series = episode.series !== 0 ? loader.getSeries(episode.series) : null;
+  const data = {
+    id: episode.id,
+    title: episode.title,
+    date: episode.date,
+    hostId: episode.hostid,
+    hostName: loader.getHost(episode.hostid)?.host ?? null,
+    seriesId: episode.series !== 0 ? episode.series : null,
+    seriesName: series?.name ?? null,
+    duration: episode.duration,
+    tags: (episode.tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    license: episode.license,
+    downloads: episode.downloads,
+    summary: episode.summary,
+    hasTranscript: loader.transcripts.has(episode.id),
+    audioUrl: header?.source ?? null,
+    transcribed: header?.transcribed ?? null,
+  };
+
+  if (includeNotes) data.notes = episode.notes || '';
+  if (typeof episode.score === 'number') data.score = episode.score;
+  if (episode.matchType) data.matchType = episode.matchType;
+  if (episode.matchType === 'fuzzy') data.matchDistance = episode.matchDistance;
+  return data;
+}
+
+export function hostData(host) {
+  const data = {
+    id: host.hostid,
+    name: host.host,
+    email: host.email,
+    license: host.license,
+    profile: host.profile,
+  };
+  if (host.matchType) data.matchType = host.matchType;
+  if (host.matchType === 'fuzzy') data.matchDistance = host.matchDistance;
+  return data;
+}
+
+export function seriesData(series) {
+  return {
+    id: series.id,
+    name: series.name,
+    description: series.description,
+  };
+}
+
+export function commentData(comment) {
+  return {
+    id: comment.id,
+    author: comment.comment_author_name,
+    timestamp: comment.comment_timestamp,
+    title: comment.comment_title || '',
+    text: comment.comment_text,
+  };
+}
+
+/**
+ * One searchTranscripts() result as structured content
+ */
+export function transcriptResultData(loader, result) {
+  return {
+    episode: episodeData(loader, result.episode),
+    score: result.score,
+    ...result.matchSummary,
+    matches: result.matches.map(({ lineNumber, terms, window, context }) => (
+      window === undefined ? { lineNumber, terms, context } : { lineNumber, terms, window, context }
+    )),
+  };
+}
+
+/**
+ * The paging fields of a page from paginate()
+ */
+export function pageData(page) {
+  return {
+    total: page.total,
+    offset: page.offset,
+    nextCursor: page.nextCursor,
+  };
+}
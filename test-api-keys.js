@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for API keys and daily quotas of the HTTP server
+ * Checks key lookup, the anonymous tier, configuration errors and quota resets
+ */
+
+import { createHash } from 'crypto';
+import { ApiKeyStore, DailyQuota } from './api-keys.js';
+import { check, finish } from './test-helpers.js';
+
+// Helper to check that a function throws an error mentioning `text`
+function checkThrows(description, fn, text) {
+  try {
+    fn();
+    check(`${description} should throw`, false);
+  } catch (error) {
+    check(`${description} → ${error.message}`, error.message.includes(text));
+  }
+}
+
+// Test 1: Key lookup
+console.log('=== Test 1: Key Lookup ===\n');
+
+const store = new ApiKeyStore({
+  keys: [
+    { name: 'alice', key: 'alice-key', rateLimit: 300, dailyQuota: 1000 },
+    { name: 'ops', sha256: createHash('sha256').update('ops-key').digest('hex'), admin: true },
+  ],
+  anonymous: { rateLimit: 30 },
+});
+
+const alice = store.authenticate('alice-key');
+check('A plain key is found with its limits', alice?.name === 'alice' && alice.rateLimit === 300 && alice.dailyQuota === 1000 && !alice.admin);
+const ops = store.authenticate('ops-key');
+check('A key given by its SHA-256 is found, with the default limits', ops?.admin === true && ops.rateLimit === 600 && ops.dailyQuota === null);
+check('An unknown key is not found', store.authenticate('alice-key ') === null);
+check('Anonymous tier has its own limits', store.anonymous.anonymous && store.anonymous.rateLimit === 30 && store.anonymous.dailyQuota === null);
+check('Admin keys are reported', store.hasAdminKeys && !new ApiKeyStore({ keys: [{ name: 'a', key: 'k' }] }).hasAdminKeys);
+console.log('');
+
+// Test 2: Configuration from the environment
+console.log('=== Test 2: Environment ===\n');
+
+const fromEnv = ApiKeyStore.fromEnvironment(
+  { HPR_API_KEYS: 'bob:bob:key, carol:carol-key', HPR_ANONYMOUS_DAILY_QUOTA: '50' },
+  { adminToken: 'secret', anonymousRateLimit: 100 }
+);
+check('HPR_API_KEYS name:key pairs are read (keys may contain ":")', fromEnv.authenticate('bob:key')?.name === 'bob' && fromEnv.authenticate('carol-key')?.name === 'carol');
+check('The admin token is an admin key', fromEnv.authenticate('secret')?.admin === true);
+check('Anonymous limits come from the environment', fromEnv.anonymous.rateLimit === 100 && fromEnv.anonymous.dailyQuota === 50);
+check('HPR_ANONYMOUS_ACCESS=false requires a key', ApiKeyStore.fromEnvironment({ HPR_ANONYMOUS_ACCESS: 'false' }).anonymous === null);
+console.log('');
+
+// Test 3: Invalid configuration
+console.log('=== Test 3: Invalid Configuration ===\n');
+
+checkThrows('A key without a name', () => new ApiKeyStore({ keys: [{ key: 'k' }] }), 'needs a name');
+checkThrows('A key with both key and sha256', () => new ApiKeyStore({ keys: [{ name: 'a', key: 'k', sha256: 'ab' }] }), 'either');
+checkThrows('Duplicate names', () => new ApiKeyStore({ keys: [{ name: 'a', key: 'k1' }, { name: 'a', key: 'k2' }] }), 'Duplicate');
+checkThrows('The same key twice', () => new ApiKeyStore({ keys: [{ name: 'a', key: 'k' }, { name: 'b', key: 'k' }] }), 'same key');
+checkThrows('A bad limit', () => new ApiKeyStore({ keys: [{ name: 'a', key: 'k', dailyQuota: -1 }] }), 'positive integer');
+checkThrows('A malformed HPR_API_KEYS', () => ApiKeyStore.fromEnvironment({ HPR_API_KEYS: 'just-a-key' }), 'name:key');
+checkThrows('A missing key file', () => ApiKeyStore.fromEnvironment({ HPR_API_KEYS_FILE: '/nonexistent/keys.json' }), '/nonexistent/keys.json');
+console.log('');
+
+// Test 4: Daily quotas
+console.log('=== Test 4: Daily Quotas ===\n');
+
+let now = new Date('2025-03-01T22:00:00Z');
+const quota = new DailyQuota({ now: () => now });
+
+const first = quota.consume('key:alice', 2);
+const second = quota.consume('key:alice', 2);
+const third = quota.consume('key:alice', 2);
+check('Requests are allowed up to the quota', first.allowed && first.remaining === 1 && second.allowed && second.remaining === 0);
+check('The request over the quota is refused', !third.allowed && third.remaining === 0);
+check('The quota resets at the next UTC midnight', third.resetsAt === '2025-03-02T00:00:00.000Z');
+check('Callers are counted separately', quota.consume('ip:10.0.0.1', 2).allowed);
+
+now = new Date('2025-03-02T00:00:01Z');
+check('Counts start again the next day', quota.consume('key:alice', 2).remaining === 1);
+console.log('');
+
+finish('API key');
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Streamable HTTP event store
+ * Checks that reconnecting clients are sent the messages they missed on their
+ * stream, and that a session keeps a bounded number of messages
+ */
+
+import { MemoryEventStore } from './event-store.js';
+import { check, finish } from './test-helpers.js';
+
+// Helper to replay the events after `lastEventId`, returning the stream id and
+// the ids of the messages sent
+async function replay(store, lastEventId) {
+  const sent = [];
+  const streamId = await store.replayEventsAfter(lastEventId, {
+    send: async (eventId, message) => sent.push({ eventId, id: message.id }),
+  });
+  return { streamId, ids: sent.map(event => event.id), eventIds: sent.map(event => event.eventId) };
+}
+
+const message = (id) => ({ jsonrpc: '2.0', id, result: {} });
+
+// Test 1: Replay
+console.log('=== Test 1: Replay ===\n');
+
+const store = new MemoryEventStore({ maxEvents: 10 });
+const first = await store.storeEvent('stream-a', message(1));
+await store.storeEvent('stream-b', message(2));
+const third = await store.storeEvent('stream-a', message(3));
+await store.storeEvent('stream-a', message(4));
+
+const resumed = await replay(store, first);
+check('The messages after the last event seen are replayed, from its stream only',
+  resumed.streamId === 'stream-a' && resumed.ids.join() === '3,4' && resumed.eventIds[0] === third);
+check('Nothing is replayed after the latest event', (await replay(store, resumed.eventIds[1])).ids.length === 0);
+check('An unknown event id replays nothing', (await replay(store, 'no-such-event')).streamId === '');
+check('Event ids are unique across streams', new Set([first, third, resumed.eventIds[1]]).size === 3);
+console.log('');
+
+// Test 2: Limits
+console.log('=== Test 2: Limits ===\n');
+
+const session = new MemoryEventStore({ maxEvents: 5 });
+const eventIds = [];
+for (let id = 1; id <= 50; id++) {
+  // One stream per request, as for POSTs
+  eventIds.push(await session.storeEvent(`post-${id}`, message(id)));
+}
+check('A session keeps at most maxEvents messages across all its streams', session.events.size === 5);
+check('Streams whose messages are all forgotten are dropped', session.streams.size === 5 && !session.streams.has('post-1'));
+check('A forgotten event replays nothing', (await replay(session, eventIds[0])).streamId === '');
+
+const long = new MemoryEventStore({ maxEvents: 3 });
+const longIds = [];
+for (let id = 1; id <= 5; id++) {
+  longIds.push(await long.storeEvent('standalone', message(id)));
+}
+check('A long stream keeps its latest messages', (await replay(long, longIds[2])).ids.join() === '4,5' && long.streams.get('standalone').length === 3);
+console.log('');
+
+finish('event store');
@@ -79,4 +79,44 @@ const noMatch = dataLoader.searchHosts('xyzabc');
 console.log(`Found ${noMatch.length} results`);
 console.log('');
 
+// Test 8: Multi-word fuzzy episode search
+console.log('=== Test 8: Fuzzy Episode Match (multiple typos) ===');
+console.log('Query: "raspbery pi clster" (each word is matched separately)\n');
+const multiWord = dataLoader.searchEpisodes('raspbery pi clster', { limit: 3 });
+console.log(`Found ${multiWord.length} results`);
+multiWord.forEach(ep => {
+  console.log(`  - HPR${String(ep.id).padStart(4, '0')}: ${ep.title.substring(0, 60)}... [matchType: ${ep.matchType}, distance: ${ep.matchDistance}]`);
+});
+console.log('');
+
+// Test 9: "Did you mean" suggestions
+console.log('=== Test 9: Spelling Suggestions ===');
+console.log('Query: "kubernets clustr" (should suggest "kubernetes cluster")\n');
+const episodeSuggestions = dataLoader.suggestQueries('kubernets clustr', { corpus: 'episodes' });
+const transcriptSuggestions = dataLoader.suggestQueries('kubernets clustr', { corpus: 'transcripts' });
+console.log(`  Episodes: ${episodeSuggestions.join(', ')}`);
+console.log(`  Transcripts: ${transcriptSuggestions.join(', ')}`);
+console.log(transcriptSuggestions[0] === 'kubernetes cluster'
+  ? '✅ Best suggestion corrects both words'
+  : '❌ Unexpected best suggestion');
+console.log('');
+
+// Test 10: Argument completion
+console.log('=== Test 10: Argument Completion ===');
+console.log('Inputs: hostName "klat", hostId "klattu", tag "rasp", seriesId "4"\n');
+const hostNames = dataLoader.completeArgument('hostName', 'klat');
+const hostIds = dataLoader.completeArgument('hostId', 'klattu');
+const tags = dataLoader.completeArgument('tag', 'rasp');
+const seriesIds = dataLoader.completeArgument('seriesId', '4');
+console.log(`  hostName: ${hostNames.values.slice(0, 5).join(', ')}`);
+console.log(`  hostId: ${hostIds.values.slice(0, 5).join(', ')}`);
+console.log(`  tag: ${tags.values.slice(0, 5).join(', ')}`);
+console.log(`  seriesId: ${seriesIds.values.slice(0, 5).join(', ')} (${seriesIds.total} in total)`);
+const klaatu = dataLoader.searchHosts('klaatu')[0];
+console.log(hostNames.values[0] === klaatu?.host && hostIds.values[0] === String(klaatu?.hostid) &&
+  tags.values.includes('raspberry pi') && seriesIds.values.every(id => id.startsWith('4'))
+  ? '✅ Prefix and fuzzy matches complete names, ids and tags'
+  : '❌ Unexpected completions');
+console.log('');
+
 console.log('✅ All fuzzy search tests completed!');
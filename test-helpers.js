@@ -0,0 +1,72 @@
+/**
+ * Helpers shared by the test scripts: checks that are printed and counted, and
+ * records and transcripts for small knowledge bases written to a directory
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+let failures = 0;
+
+/**
+ * Print a check's outcome, counting it if it failed
+ */
+export function check(description, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+/**
+ * Print the outcome of all checks about `subject` (e.g. 'OAuth'), exiting with
+ * status 1 if any failed
+ */
+export function finish(subject) {
+  if (failures > 0) {
+    console.log(`❌ ${failures} ${subject} test(s) failed`);
+    process.exit(1);
+  }
+  console.log(`✅ All ${subject} tests completed!`);
+}
+
+// Records with every required field (see SCHEMAS in validation.js); `fields` override the defaults
+export const episode = (id, fields = {}) => ({
+  id, date: '2020-01-01', title: `Episode ${id}`, hostid: 1, series: 0,
+  summary: 'A summary', notes: '<p>Notes</p>', tags: 'linux', duration: 600, license: 'CC-BY-SA', ...fields,
+});
+export const host = (hostid, fields = {}) => ({
+  hostid, host: `Host ${hostid}`, email: 'host@example.com', profile: '', license: 'CC-BY-SA', valid: 1, ...fields,
+});
+export const series = (id, fields = {}) => ({
+  id, name: id === 0 ? 'general' : `Series ${id}`, description: '', private: 0, valid: 1, ...fields,
+});
+export const comment = (id, episodeId, fields = {}) => ({
+  id, eps_id: episodeId, comment_timestamp: '2020-01-02', comment_author_name: 'A', comment_title: 'Hi', comment_text: 'Nice', ...fields,
+});
+
+/**
+ * A transcript file's text: the header, then `text`
+ */
+export function transcript(id, text = 'Hello.', { title = `Episode ${id}` } = {}) {
+  return `Episode: ${id}\nTitle: ${title}\nSource: https://example.com/hpr${id}.ogg\nTranscribed: 2025-01-01\n---\n\n${text}`;
+}
+
+/**
+ * Write a knowledge base to `root`, by default a new temporary directory, and
+ * return the directory. Each collection given (episodes, hosts, comments,
+ * series) is written to hpr_metadata/, as JSON or as is if it is a string;
+ * `transcripts` maps episode ids to the text of their transcript files.
+ */
+export function writeKnowledgeBase({ transcripts = {}, ...collections }, root = mkdtempSync(join(tmpdir(), 'hpr-test-'))) {
+  mkdirSync(join(root, 'hpr_metadata'), { recursive: true });
+  mkdirSync(join(root, 'hpr_transcripts'), { recursive: true });
+  for (const [collection, records] of Object.entries(collections)) {
+    if (records !== undefined) {
+      writeFileSync(join(root, 'hpr_metadata', `${collection}.json`), typeof records === 'string' ? records : JSON.stringify(records));
+    }
+  }
+  for (const [id, text] of Object.entries(transcripts)) {
+    writeFileSync(join(root, 'hpr_transcripts', `hpr${String(id).padStart(4, '0')}.txt`), text);
+  }
+  return root;
+}
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for reading HPR database dumps
+ * Checks SQL, CSV and JSON parsing, normalisation and change reports
+ */
+
+import { parseSqlDump, parseCsv, parseJsonExport, normalizeDump, diffRecords } from './hpr-dump.js';
+import { check, finish } from './test-helpers.js';
+
+// Test 1: MySQL dumps
+console.log('=== Test 1: SQL Dumps ===\n');
+
+const sql = `-- MySQL dump 10.13
+/*!40101 SET NAMES utf8mb4 */;
+CREATE TABLE \`hosts\` (
+  \`hostid\` int(11) NOT NULL,
+  \`host\` varchar(1024) NOT NULL DEFAULT '',
+  \`profile\` text NOT NULL,
+  PRIMARY KEY (\`hostid\`),
+  KEY \`host\` (\`host\`(10))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+INSERT INTO \`hosts\` VALUES (1,'droops','It\\'s; a \\"profile\\"\\nwith (parens)'),(2,'Ken','');
+INSERT INTO \`miniseries\` (\`id\`, \`name\`, \`valid\`) VALUES (4,'Databases',NULL);
+`;
+
+const tables = parseSqlDump(sql);
+const hosts = tables.get('hosts');
+check('Rows are read using the CREATE TABLE columns', hosts?.length === 2 && hosts[1].host === 'Ken');
+check('Escapes, semicolons and parentheses inside strings are kept',
+  hosts?.[0].profile === 'It\'s; a "profile"\nwith (parens)');
+check('An INSERT column list is used when present',
+  tables.get('miniseries')?.[0].name === 'Databases' && tables.get('miniseries')[0].valid === null);
+console.log('');
+
+// Test 2: CSV and JSON exports
+console.log('=== Test 2: CSV and JSON Exports ===\n');
+
+const csv = parseCsv('\uFEFFid,eps_id,comment_text\r\n1,8,"Quoted, with ""quotes""\nand a newline"\r\n2,8,plain\r\n');
+check('CSV quoted fields keep commas, quotes and newlines',
+  csv.length === 2 && csv[0].comment_text === 'Quoted, with "quotes"\nand a newline');
+
+const phpMyAdmin = parseJsonExport(JSON.stringify([
+  { type: 'header', version: '5.2' },
+  { type: 'table', name: 'eps', data: [{ id: '1', title: 'Introduction' }] },
+]), 'unused');
+check('phpMyAdmin JSON exports are read by table name', phpMyAdmin.get('eps')?.[0].title === 'Introduction');
+console.log('');
+
+// Test 3: Normalisation and change reports
+console.log('=== Test 3: Normalisation ===\n');
+
+const normalized = normalizeDump(new Map([
+  ['eps', [{ id: '2', date: '2020-01-02 00:00:00', title: null, downloads: 'many' }, { id: '1', date: '2020-01-01' }]],
+]));
+const [first, second] = normalized.episodes;
+check('Records are sorted by id with integers parsed', first.id === 1 && second.id === 2);
+check('Dates are trimmed to YYYY-MM-DD', second.date === '2020-01-02');
+check('Missing strings become empty and unparseable integers null', second.title === '' && second.downloads === null);
+check('Every expected field is present', Object.keys(first).length === 14);
+check('Tables missing from the dump are reported as null', normalized.hosts === null);
+
+const diff = diffRecords(
+  [{ id: 1, title: 'a' }, { id: 2, title: 'b' }],
+  [{ id: 2, title: 'B' }, { id: 3, title: 'c' }],
+  'id'
+);
+check('Added, changed and removed ids are reported',
+  diff.added.join() === '3' && diff.removed.join() === '1' && diff.changed[0]?.id === 2 && diff.changed[0].fields.join() === 'title');
+console.log('');
+
+finish('dump import');
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the OAuth resource server of the HTTP server
+ * Signs access tokens with throwaway keys and checks which ones are accepted,
+ * the protected resource metadata, and fetching keys from the authorization server
+ */
+
+import { generateKeyPairSync, sign } from 'crypto';
+import { OAuthResourceServer, OAuthError } from './oauth.js';
+import { check, finish } from './test-helpers.js';
+
+const ISSUER = 'https://auth.example.com';
+const RESOURCE = 'https://hpr.example.com';
+
+const rsa = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const other = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = {
+  keys: [
+    { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256', use: 'sig' },
+    { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256', use: 'sig' },
+  ],
+};
+
+// Helper to sign a JWT access token; `claims` override the valid defaults
+function token(claims = {}, { key = rsa.privateKey, kid = 'rsa-1', alg = 'RS256', typ = 'at+jwt' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg, kid, ...(typ && { typ }) })}.${encode({
+    iss: ISSUER, aud: RESOURCE, sub: 'user-1', client_id: 'client-1', scope: 'hpr:read', iat: now, exp: now + 300, ...claims,
+  })}`;
+  const options = alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key;
+  return `${body}.${sign('sha256', Buffer.from(body), options).toString('base64url')}`;
+}
+
+// Helper to check that a token is rejected with an OAuth error code
+async function checkRejected(description, server, accessToken, code = 'invalid_token') {
+  try {
+    await server.verifyAccessToken(accessToken);
+    check(`${description} should be rejected`, false);
+  } catch (error) {
+    check(`${description} → ${error.message}`, error instanceof OAuthError && error.code === code);
+  }
+}
+
+// Test 1: Token validation
+console.log('=== Test 1: Token Validation ===\n');
+
+const server = new OAuthResourceServer({ resource: RESOURCE, issuer: ISSUER, jwks, requiredScopes: ['hpr:read'] });
+
+const info = await server.verifyAccessToken(token());
+check('A valid RS256 token is accepted', info.subject === 'user-1' && info.clientId === 'client-1' && info.scopes.includes('hpr:read'));
+const ecInfo = await server.verifyAccessToken(token({ scope: 'hpr:read other' }, { key: ec.privateKey, kid: 'ec-1', alg: 'ES256' }));
+check('A valid ES256 token is accepted', ecInfo.scopes.length === 2);
+check('The audience may be a list, with a trailing slash',
+  (await server.verifyAccessToken(token({ aud: ['https://other.example.com', `${RESOURCE}/`] }))).subject === 'user-1');
+
+await checkRejected('A token signed by another key', server, token({}, { key: other.privateKey }));
+await checkRejected('A token with an unknown kid', server, token({}, { kid: 'rsa-2' }));
+await checkRejected('A tampered token', server, token().replace(/\.[^.]+\./, `.${Buffer.from(JSON.stringify({ iss: ISSUER, aud: RESOURCE, exp: 9999999999, scope: 'hpr:read' })).toString('base64url')}.`));
+await checkRejected('An unsigned token', server, `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from('{}').toString('base64url')}.`);
+await checkRejected('A token from another issuer', server, token({ iss: 'https://evil.example.com' }));
+await checkRejected('A token for another server', server, token({ aud: 'https://other.example.com' }));
+await checkRejected('An expired token', server, token({ exp: Math.floor(Date.now() / 1000) - 3600 }));
+await checkRejected('A token without an expiry', server, token({ exp: undefined }));
+await checkRejected('A token that is not valid yet', server, token({ nbf: Math.floor(Date.now() / 1000) + 3600 }));
+await checkRejected('A token without the required scope', server, token({ scope: 'other' }), 'insufficient_scope');
+await checkRejected('Something that is not a JWT', server, 'an-api-key');
+await checkRejected('A token whose header is null', server, `${Buffer.from('null').toString('base64url')}.${token().split('.').slice(1).join('.')}`);
+await checkRejected('A token whose payload is not an object', server, `${token().split('.')[0]}.${Buffer.from('[1]').toString('base64url')}.sig`);
+await checkRejected('An ID token from the same issuer', server, token({}, { typ: 'JWT' }));
+await checkRejected('A token without a type', server, token({}, { typ: null }));
+check('The media type form of the token type is accepted', (await server.verifyAccessToken(token({}, { typ: 'application/at+jwt' }))).subject === 'user-1');
+console.log('');
+
+// Test 2: Metadata and challenges
+console.log('=== Test 2: Metadata ===\n');
+
+check('Protected resource metadata names the resource and authorization server',
+  server.metadata.resource === RESOURCE && server.metadata.authorization_servers[0] === ISSUER && server.metadata.scopes_supported[0] === 'hpr:read');
+check('Metadata is at the well-known URL', server.metadataUrl === `${RESOURCE}/.well-known/oauth-protected-resource`);
+check('A resource with a path has the path appended',
+  new OAuthResourceServer({ resource: 'https://example.com/hpr', issuer: ISSUER, jwks }).metadataUrl === 'https://example.com/.well-known/oauth-protected-resource/hpr');
+check('The challenge points at the metadata', server.challenge() === `Bearer resource_metadata="${server.metadataUrl}"`);
+check('The challenge for a missing scope names the scope',
+  server.challenge(new OAuthError('insufficient_scope', 'Token lacks a required scope')).includes('error="insufficient_scope", error_description="Token lacks a required scope", scope="hpr:read"'));
+check('OAuth is off without HPR_OAUTH_ISSUER', OAuthResourceServer.fromEnvironment({}) === null);
+console.log('');
+
+// Test 3: Keys from the authorization server
+console.log('=== Test 3: Key Discovery ===\n');
+
+let now = Date.now();
+let jwksFetches = 0;
+let publishedKeys = { keys: [jwks.keys[1]] };
+const responses = {
+  [`${ISSUER}/.well-known/oauth-authorization-server`]: { status: 404 },
+  [`${ISSUER}/.well-known/openid-configuration`]: { status: 200, body: { issuer: ISSUER, jwks_uri: `${ISSUER}/jwks` } },
+};
+const fetch = async (url) => {
+  if (url === `${ISSUER}/jwks`) {
+    jwksFetches++;
+    return { ok: true, status: 200, json: async () => publishedKeys };
+  }
+  const { status, body } = responses[url] || { status: 404 };
+  return { ok: status === 200, status, json: async () => body };
+};
+const remote = new OAuthResourceServer({ resource: RESOURCE, issuer: ISSUER, fetch, now: () => now });
+
+const [first, second] = await Promise.all([
+  remote.verifyAccessToken(token({}, { key: ec.privateKey, kid: 'ec-1', alg: 'ES256' })),
+  remote.verifyAccessToken(token({}, { key: ec.privateKey, kid: 'ec-1', alg: 'ES256' })),
+]);
+check('Keys are found through OpenID Connect discovery, with one fetch for concurrent requests', first.subject === 'user-1' && second.subject === 'user-1' && jwksFetches === 1);
+
+publishedKeys = jwks;
+await checkRejected('A new key is not fetched again within a minute', remote, token());
+now += 61000;
+check('A new key is fetched after a minute', (await remote.verifyAccessToken(token())).subject === 'user-1' && jwksFetches === 2);
+
+// Helper to check that a token can't be checked because the keys can't be fetched
+async function checkUnavailable(description, server, accessToken) {
+  try {
+    await server.verifyAccessToken(accessToken);
+    check(`${description} should fail`, false);
+  } catch (error) {
+    check(`${description} → ${error.message}`, !(error instanceof OAuthError));
+  }
+}
+
+let issuerUp = false;
+let issuerRequests = 0;
+let signals = 0;
+const flaky = new OAuthResourceServer({
+  resource: RESOURCE,
+  issuer: ISSUER,
+  now: () => now,
+  fetch: async (url, options) => {
+    issuerRequests++;
+    if (options?.signal instanceof AbortSignal) signals++;
+    if (!issuerUp) throw new TypeError('fetch failed');
+    return fetch(url);
+  },
+});
+await checkUnavailable('A token when the issuer is down', flaky, token());
+await checkUnavailable('Another token straight after', flaky, token());
+check('The failed fetch is not repeated within a minute', issuerRequests === 1);
+now += 61000;
+await checkUnavailable('A token a minute later, with the issuer still down', flaky, token());
+check('The keys are fetched once more after a minute, with a timeout', issuerRequests === 2 && signals === 2);
+issuerUp = true;
+now += 61000;
+check('Tokens are accepted once the issuer is back', (await flaky.verifyAccessToken(token())).subject === 'user-1' && issuerRequests === 5);
+console.log('');
+
+finish('OAuth');
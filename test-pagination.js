@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for result paging (pagination.js)
+ * Checks that cursors round-trip, are tied to the request they were issued for,
+ * and that malformed or tampered cursors are rejected
+ */
+
+import { requestScope, encodeCursor, decodeCursor, paginate, CursorError } from './pagination.js';
+import { check, finish } from './test-helpers.js';
+
+// Helper to check that decoding a cursor throws a CursorError mentioning `text`
+function checkRejected(description, cursor, scope, text) {
+  try {
+    decodeCursor(cursor, scope);
+    check(`${description} should be rejected`, false);
+  } catch (error) {
+    check(`${description} → ${error.message}`, error instanceof CursorError && error.message.includes(text));
+  }
+}
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const decode = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+
+// Test 1: Round trip
+console.log('=== Test 1: Round Trip ===\n');
+
+const scope = requestScope('search_episodes', { query: 'linux', hostId: 3, limit: 10, cursor: 'abc', format: 'json' });
+check('The scope leaves out the paging arguments and format', JSON.stringify(scope) === '{"name":"search_episodes","query":"linux","hostId":3}');
+check('A request without arguments has a scope', JSON.stringify(requestScope('list_series', null)) === '{"name":"list_series"}');
+check('A cursor gives back its offset', decodeCursor(encodeCursor(40, scope), scope) === 40);
+check('A cursor for the first page gives back 0', decodeCursor(encodeCursor(0, scope), scope) === 0);
+check('The order of the arguments does not matter',
+  decodeCursor(encodeCursor(5, scope), requestScope('search_episodes', { hostId: 3, query: 'linux' })) === 5);
+check('Changing only the limit or format keeps the cursor valid',
+  decodeCursor(encodeCursor(5, scope), requestScope('search_episodes', { query: 'linux', hostId: 3, limit: 50, format: 'text' })) === 5);
+check('A cursor is URL safe', /^[A-Za-z0-9_-]+$/.test(encodeCursor(1234, scope)));
+console.log('');
+
+// Test 2: Scope mismatch
+console.log('=== Test 2: Scope Mismatch ===\n');
+
+const cursor = encodeCursor(20, scope);
+checkRejected('A cursor used with another argument value', cursor, requestScope('search_episodes', { query: 'kernel', hostId: 3 }), 'issued for a different request');
+checkRejected('A cursor used with an extra argument', cursor, requestScope('search_episodes', { query: 'linux', hostId: 3, tag: 'audio' }), 'issued for a different request');
+checkRejected('A cursor used with an argument left out', cursor, requestScope('search_episodes', { query: 'linux' }), 'issued for a different request');
+checkRejected('A cursor used with another tool', cursor, requestScope('search_transcripts', { query: 'linux', hostId: 3 }), 'issued for a different request');
+checkRejected('A cursor used without a scope', cursor, null, 'issued for a different request');
+console.log('');
+
+// Test 3: Malformed and tampered cursors
+console.log('=== Test 3: Malformed and Tampered Cursors ===\n');
+
+checkRejected('Something that is not base64 JSON', 'not-a-cursor', scope, 'not a cursor returned by this server');
+checkRejected('An empty cursor', '', scope, 'not a cursor returned by this server');
+checkRejected('JSON null', encode(null), scope, 'not a cursor returned by this server');
+checkRejected('A JSON number', encode(20), scope, 'not a cursor returned by this server');
+checkRejected('A cursor without an offset', encode({ f: decode(cursor).f }), scope, 'not a cursor returned by this server');
+checkRejected('A negative offset', encode({ ...decode(cursor), o: -5 }), scope, 'not a cursor returned by this server');
+checkRejected('An offset that is not a whole number', encode({ ...decode(cursor), o: 2.5 }), scope, 'not a cursor returned by this server');
+checkRejected('An offset given as a string', encode({ ...decode(cursor), o: '20' }), scope, 'not a cursor returned by this server');
+checkRejected('A changed fingerprint', encode({ ...decode(cursor), f: 'AAAAAAAAAAAA' }), scope, 'issued for a different request');
+checkRejected('A truncated cursor', cursor.slice(0, -4), scope, 'not a cursor returned by this server');
+console.log('');
+
+// Test 4: Pages
+console.log('=== Test 4: Pages ===\n');
+
+const list = Array.from({ length: 25 }, (_, i) => i + 1);
+const pageScope = requestScope('get_host_info', { hostId: 1 });
+
+const first = paginate(list, { limit: 10, scope: pageScope });
+check('The first page starts at the beginning, with a cursor for the next',
+  first.items.join() === '1,2,3,4,5,6,7,8,9,10' && first.offset === 0 && first.total === 25 && first.nextCursor !== null);
+const second = paginate(list, { cursor: first.nextCursor, limit: 10, scope: pageScope });
+check('The next page continues where it left off', second.items[0] === 11 && second.offset === 10);
+const last = paginate(list, { cursor: second.nextCursor, limit: 10, scope: pageScope });
+check('The last page is short and has no next cursor', last.items.join() === '21,22,23,24,25' && last.nextCursor === null);
+
+const seen = [];
+let page = { nextCursor: null };
+do {
+  page = paginate(list, { cursor: page.nextCursor, limit: 7, scope: pageScope });
+  seen.push(...page.items);
+} while (page.nextCursor);
+check('Following the cursors lists every item once, in order', seen.join() === list.join());
+
+const exact = paginate(list.slice(0, 20), { cursor: first.nextCursor, limit: 10, scope: pageScope });
+check('A page ending exactly at the end has no next cursor', exact.items.length === 10 && exact.nextCursor === null);
+
+const pastEnd = paginate(list, { cursor: encodeCursor(100, pageScope), limit: 10, scope: pageScope });
+check('An offset past the end (e.g. after the list shrank) gives an empty last page',
+  pastEnd.items.length === 0 && pastEnd.offset === 100 && pastEnd.total === 25 && pastEnd.nextCursor === null);
+const empty = paginate([], { limit: 10, scope: pageScope });
+check('An empty list has one empty page', empty.items.length === 0 && empty.total === 0 && empty.nextCursor === null);
+check('The default page size is 20', paginate(list).items.length === 20);
+
+try {
+  paginate(list, { cursor: first.nextCursor, limit: 10, scope: requestScope('get_host_info', { hostId: 2 }) });
+  check('Paging with a cursor from another request should fail', false);
+} catch (error) {
+  check(`Paging with a cursor from another request fails → ${error.message}`, error instanceof CursorError);
+}
+console.log('');
+
+finish('pagination');
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the boolean/fielded search query parser
+ * Checks parsed structure for valid queries and error messages for invalid ones
+ */
+
+import { parseQuery, hasQuerySyntax } from './query-parser.js';
+import { check, finish } from './test-helpers.js';
+
+// Test 1: Valid queries
+console.log('=== Test 1: Valid Queries ===\n');
+
+const implicitAnd = parseQuery('raspberry pi');
+check('"raspberry pi" is an implicit AND of two words',
+  implicitAnd.type === 'and' && implicitAnd.children.length === 2);
+
+const precedence = parseQuery('bash OR zsh scripting');
+check('AND binds tighter than OR',
+  precedence.type === 'or' && precedence.children[1].type === 'and');
+
+const grouped = parseQuery('(vim OR emacs) -windows');
+check('Parentheses group and -word excludes',
+  grouped.type === 'and' && grouped.children[0].type === 'or' && grouped.children[1].type === 'not');
+
+const phrase = parseQuery('title:"virtual machine"');
+check('Fielded quoted phrase',
+  phrase.type === 'term' && phrase.field === 'title' && phrase.phrase && phrase.value === 'virtual machine');
+
+const date = parseQuery('date:>=2015-01-01');
+check('Date comparison', date.field === 'date' && date.op === '>=' && date.value === '2015-01-01');
+
+const near = parseQuery('raspberry NEAR/5 "kubernetes cluster"');
+check('NEAR/n combines words and phrases',
+  near.type === 'near' && near.distance === 5 && near.children.length === 2 && near.children[1].phrase);
+
+check('Empty query parses to null', parseQuery('   ') === null);
+check('Lowercase "and"/"or" are plain words', parseQuery('rock and roll').children.length === 3);
+console.log('');
+
+// Test 2: Syntax detection
+console.log('=== Test 2: Syntax Detection ===\n');
+check('Plain words are not query syntax', !hasQuerySyntax('raspberry pi'));
+check('Field prefixes are query syntax', hasQuerySyntax('host:klaatu'));
+check('Unknown prefixes are plain words', !hasQuerySyntax('http://example.com'));
+console.log('');
+
+// Test 3: Parse errors
+console.log('=== Test 3: Parse Errors ===\n');
+for (const query of ['(linux', 'linux)', '"unterminated', 'linux AND', 'OR linux', 'date:yesterday', 'tag:', 'host:klaatu NEAR/3 linux']) {
+  try {
+    parseQuery(query);
+    check(`"${query}" should fail to parse`, false);
+  } catch (error) {
+    check(`"${query}" → ${error.message}`, error.name === 'QueryParseError');
+  }
+}
+console.log('');
+
+finish('query parser');
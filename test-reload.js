@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for reloading the knowledge base (HPRDataLoader.reload)
+ * Checks that changed data is swapped in, that a failed reload keeps the current
+ * data and transcript manifest, and that storage backends are closed either way
+ */
+
+import { readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import HPRDataLoader from './data-loader.js';
+import { JsonStorage } from './storage.js';
+import { check, finish, episode, host, series, transcript, writeKnowledgeBase } from './test-helpers.js';
+
+const root = writeKnowledgeBase({});
+const manifestPath = join(root, 'manifest.json');
+const hosts = [host(1)];
+
+const savedManifest = () => readFileSync(manifestPath, 'utf-8');
+const manifestIds = () => Object.keys(JSON.parse(savedManifest()).transcripts).join();
+
+// Note the storage backends that are closed
+const closed = new Set();
+const close = JsonStorage.prototype.close;
+JsonStorage.prototype.close = function () {
+  closed.add(this);
+  return close.call(this);
+};
+
+try {
+  writeKnowledgeBase({ episodes: [episode(1)], hosts, comments: [], series: [series(0)], transcripts: { 1: transcript(1) } }, root);
+
+  const options = { root, storage: 'json', transcriptStorage: 'memory', transcriptManifest: manifestPath };
+  const loader = new HPRDataLoader(options);
+  await loader.load();
+  check('The first load saves the transcript manifest', manifestIds() === '1');
+
+  // Test 1: A successful reload
+  console.log('=== Test 1: Successful Reload ===\n');
+
+  writeKnowledgeBase({ episodes: [episode(1), episode(2)], transcripts: { 2: transcript(2) } }, root);
+  const firstStorage = loader.storage;
+  let emitted = null;
+  loader.once('reload', summary => { emitted = summary; });
+  const summary = await loader.reload();
+  check('The changed data is swapped in', loader.episodes.length === 2 && loader.transcripts.has(2) && loader.episodesById.get(2).title === 'Episode 2');
+  check('The summary lists the new transcript and is emitted', summary.episodes === 2 && summary.newTranscripts.join() === '2' && emitted === summary);
+  check('The manifest is saved with the new transcript', manifestIds() === '1,2');
+  check('The previous storage is closed and the new one kept', closed.has(firstStorage) && !closed.has(loader.storage));
+  console.log('');
+
+  // Test 2: A rejected reload
+  console.log('=== Test 2: Rejected Reload ===\n');
+
+  const manifestBefore = savedManifest();
+  const storageBefore = loader.storage;
+  closed.clear();
+  writeKnowledgeBase({ hosts: '[{ "hostid": 1, ', episodes: [episode(1), episode(2), episode(3)], transcripts: { 3: transcript(3) } }, root);
+  const rejected = await loader.reload().then(() => null, error => error);
+  check(`A file that no longer loads rejects the reload → ${rejected?.message.split(' (')[0]}`, rejected?.message.includes('hpr_metadata/hosts.json'));
+  check('The current data is kept', loader.episodes.length === 2 && loader.hosts.length === 1 && !loader.transcripts.has(3));
+  check('The manifest is left as it was', savedManifest() === manifestBefore);
+  check('The storage of the rejected data is closed, and the current one kept', closed.size === 1 && !closed.has(storageBefore));
+  console.log('');
+
+  // Test 3: A reload whose load fails
+  console.log('=== Test 3: Failed Load ===\n');
+
+  writeKnowledgeBase({ hosts, episodes: [episode(1), episode(2)] }, root);
+  const strict = new HPRDataLoader({ ...options, strict: true });
+  await strict.load();
+  const strictManifest = savedManifest();
+  closed.clear();
+  writeKnowledgeBase({ episodes: [episode(1), episode(2), episode(2, { title: 'Again' })] }, root);
+  const failed = await strict.reload().then(() => null, error => error);
+  check(`Data that fails validation fails the reload → ${failed?.message.split('\n')[0]}`, failed?.message.includes('failed validation'));
+  check('The current data and manifest are kept', strict.episodes.length === 2 && savedManifest() === strictManifest);
+  check('The storage of the failed load is closed', closed.size === 1 && !closed.has(strict.storage));
+  console.log('');
+} finally {
+  JsonStorage.prototype.close = close;
+  rmSync(root, { recursive: true, force: true });
+}
+
+finish('reload');
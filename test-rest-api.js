@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the REST API
+ * Serves the API from the knowledge base on a local port and checks lookups,
+ * paging, and the 400 and 404 responses
+ */
+
+import express from 'express';
+import HPRDataLoader from './data-loader.js';
+import { createRestApi } from './rest-api.js';
+import { check, finish } from './test-helpers.js';
+
+const dataLoader = new HPRDataLoader({ transcriptManifest: '' });
+await dataLoader.load();
+
+const app = express();
+app.use('/api/v1', createRestApi(dataLoader));
+const server = app.listen(0);
+const baseUrl = `http://localhost:${server.address().port}/api/v1`;
+
+// Helper to GET an API path, returning the status and JSON body
+async function get(path) {
+  const response = await fetch(baseUrl + path);
+  return { status: response.status, body: await response.json() };
+}
+
+// Helper to check that a request fails with `status` and a message mentioning `text`
+async function checkError(description, path, status, text) {
+  const { status: actual, body } = await get(path);
+  check(`${description} → ${actual} ${body.message}`, actual === status && typeof body.error === 'string' && body.message.includes(text));
+}
+
+try {
+  // Test 1: Lookups
+  console.log('=== Test 1: Lookups ===\n');
+
+  const episode = await get('/episodes/16');
+  check('An episode is returned with its comments', episode.status === 200 && episode.body.episode.id === 16 && Array.isArray(episode.body.comments));
+  const transcript = await get('/episodes/16/transcript');
+  check('Its transcript is returned', transcript.status === 200 && transcript.body.episodeId === 16 && transcript.body.transcript.length > 0);
+  const host = await get(`/hosts/${episode.body.episode.hostId}`);
+  check('Its host is returned with their episodes', host.status === 200 && host.body.episodes.some(ep => ep.id === 16));
+  console.log('');
+
+  // Test 2: Not found
+  console.log('=== Test 2: Not Found ===\n');
+
+  await checkError('An unknown episode', '/episodes/999999', 404, 'Episode 999999 not found');
+  await checkError('An unknown host', '/hosts/999999', 404, 'Host 999999 not found');
+  await checkError('An unknown series', '/series/999999', 404, 'Series 999999 not found');
+  await checkError('An unknown endpoint', '/nothing', 404, 'No API endpoint GET /api/v1/nothing');
+  console.log('');
+
+  // Test 3: Invalid parameters
+  console.log('=== Test 3: Invalid Parameters ===\n');
+
+  await checkError('An id that is not a number', '/episodes/abc', 400, 'id must be a non-negative integer');
+  await checkError('A limit out of range', '/episodes?q=linux&limit=0', 400, 'limit must be between 1 and 100');
+  await checkError('An invalid boolean', '/episodes?q=linux&expand=maybe', 400, 'expand must be true or false');
+  await checkError('An unknown sort order', '/episodes?q=linux&sort=bogus', 400, 'sort must be one of relevance, date');
+  await checkError('An unknown match mode', '/transcripts/search?q=linux&matchMode=some', 400, 'matchMode must be one of');
+  await checkError('A date that is not a date', '/episodes?fromDate=yesterday', 400, 'fromDate must be a date');
+  await checkError('A date that does not exist', '/episodes?toDate=2015-02-30', 400, 'toDate must be a date');
+  await checkError('A parameter given twice', '/episodes?q=linux&q=kernel', 400, 'q must be given once');
+  await checkError('An episode query with a syntax error', '/episodes?q=(linux', 400, 'Invalid query: Missing closing parenthesis');
+  await checkError('A transcript query with a syntax error', '/transcripts/search?q=%22linux', 400, 'Invalid query: Unterminated quoted phrase');
+  await checkError('withinWords with query syntax', '/transcripts/search?q=linux%20AND%20kernel&withinWords=5', 400, 'withinWords cannot be combined with query syntax');
+  await checkError('A transcript search without a query', '/transcripts/search', 400, 'q or terms is required');
+  console.log('');
+
+  // Test 4: Paging
+  console.log('=== Test 4: Paging ===\n');
+
+  const first = await get('/episodes?q=linux&limit=5');
+  check(`The first page has ${first.body.episodes.length} of ${first.body.total} episodes, facets and a cursor`,
+    first.status === 200 && first.body.episodes.length === 5 && first.body.total > 10 && first.body.facets !== null && first.body.nextCursor);
+  const second = await get(`/episodes?q=linux&limit=5&cursor=${first.body.nextCursor}`);
+  check('The next page continues where it left off, without facets',
+    second.status === 200 && second.body.offset === 5 && second.body.facets === null &&
+    second.body.episodes.every(ep => !first.body.episodes.some(other => other.id === ep.id)));
+  const all = await get('/episodes?q=linux&limit=100');
+  check('Pages follow the order of the whole result', all.body.episodes.slice(5, 10).map(ep => ep.id).join() === second.body.episodes.map(ep => ep.id).join());
+
+  await checkError('A cursor used with other parameters', `/episodes?q=kernel&limit=5&cursor=${first.body.nextCursor}`, 400, 'issued for a different request');
+  await checkError('A cursor that is not a cursor', '/episodes?q=linux&cursor=not-a-cursor', 400, 'not a cursor returned by this server');
+  const hostCursor = (await get(`/hosts/${episode.body.episode.hostId}?limit=1`)).body.nextCursor;
+  await checkError('A cursor for another endpoint', `/episodes?limit=1&cursor=${hostCursor}`, 400, 'issued for a different request');
+
+  const transcriptsFirst = await get('/transcripts/search?q=kernel&limit=3');
+  const transcriptsSecond = await get(`/transcripts/search?q=kernel&limit=3&cursor=${transcriptsFirst.body.nextCursor}`);
+  check('Transcript results are paged as well',
+    transcriptsFirst.body.results.length === 3 && transcriptsSecond.body.offset === 3 &&
+    transcriptsSecond.body.results.every(result => !transcriptsFirst.body.results.some(other => other.episode.id === result.episode.id)));
+
+  let page = await get(`/hosts/${episode.body.episode.hostId}?limit=2`);
+  const seen = [...page.body.episodes];
+  while (page.body.nextCursor) {
+    page = await get(`/hosts/${episode.body.episode.hostId}?limit=2&cursor=${page.body.nextCursor}`);
+    seen.push(...page.body.episodes);
+  }
+  check(`Following the cursors lists all ${page.body.total} of a host's episodes once`,
+    seen.length === page.body.total && new Set(seen.map(ep => ep.id)).size === seen.length);
+  console.log('');
+} finally {
+  server.close();
+}
+
+finish('REST API');
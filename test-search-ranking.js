@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for BM25 relevance ranking in episode search
+ * Compares relevance and date ordering for the same queries
+ */
+
+import HPRDataLoader from './data-loader.js';
+import { TranscriptSearchIndex } from './search-index.js';
+import { check, finish } from './test-helpers.js';
+
+console.log('Loading HPR data...\n');
+const dataLoader = new HPRDataLoader();
+await dataLoader.load();
+console.log('Data loaded!\n');
+
+// Test 1: Single-term relevance ranking
+console.log('=== Test 1: Relevance Ranking (single term) ===');
+console.log('Query: "virtualization" (episodes about the topic should rank first)\n');
+const ranked = dataLoader.searchEpisodes('virtualization', { limit: 5 });
+console.log(`Found ${ranked.length} results`);
+ranked.forEach(ep => {
+  console.log(`  - HPR${String(ep.id).padStart(4, '0')}: ${ep.title} [score: ${ep.score.toFixed(2)}]`);
+});
+console.log('');
+
+// Test 2: Multi-term query requires every term
+console.log('=== Test 2: Relevance Ranking (multiple terms) ===');
+console.log('Query: "raspberry pi"\n');
+const multi = dataLoader.searchEpisodes('raspberry pi', { limit: 5 });
+console.log(`Found ${multi.length} results`);
+multi.forEach(ep => {
+  console.log(`  - HPR${String(ep.id).padStart(4, '0')}: ${ep.title} [score: ${ep.score.toFixed(2)}]`);
+});
+const descending = multi.every((ep, i) => i === 0 || multi[i - 1].score >= ep.score);
+check('Scores are in descending order', descending);
+console.log('');
+
+// Test 3: Explicit date ordering
+console.log('=== Test 3: Date Ordering ===');
+console.log('Query: "linux" with sort: "date"\n');
+const byDate = dataLoader.searchEpisodes('linux', { limit: 5, sort: 'date' });
+console.log(`Found ${byDate.length} results`);
+byDate.forEach(ep => {
+  console.log(`  - HPR${String(ep.id).padStart(4, '0')} (${ep.date}): ${ep.title} [score: ${ep.score.toFixed(2)}]`);
+});
+const newestFirst = byDate.every((ep, i) => i === 0 || byDate[i - 1].date >= ep.date);
+check('Results are newest first', newestFirst);
+console.log('');
+
+// Test 4: Stem variants and synonyms
+console.log('=== Test 4: Stemming and Synonyms ===');
+const stemmed = dataLoader.searchEpisodes('virtualize', { limit: 50 });
+const exact = dataLoader.searchEpisodes('virtualize', { limit: 50, expand: false });
+console.log(`"virtualize": ${stemmed.length} results expanded, ${exact.length} without expansion`);
+check('"virtualize" finds "virtualization"', stemmed.some(ep => /virtualization/i.test(ep.title)));
+const acronym = dataLoader.searchEpisodes('vm', { limit: 50 });
+check('"vm" finds "virtual machine"', acronym.some(ep => /virtual machine/i.test(`${ep.title} ${ep.summary}`)));
+console.log('');
+
+// Test 5: Facet counts cover every match
+console.log('=== Test 5: Facet Counts ===');
+const allMatches = dataLoader.searchEpisodes('linux', { limit: Infinity });
+const facets = dataLoader.getEpisodeFacets(allMatches);
+console.log(`"linux": ${allMatches.length} matches`);
+for (const [facet, values] of Object.entries(facets)) {
+  console.log(`  ${facet}: ${values.slice(0, 3).map(f => `${f.label || f.value} (${f.count})`).join(', ')}`);
+}
+const yearTotal = dataLoader.getEpisodeFacets(allMatches, { limit: Infinity }).year.reduce((sum, f) => sum + f.count, 0);
+check('Year counts add up to the number of matches', yearTotal === allMatches.length);
+console.log('');
+
+// Test 6: Incremental transcript index matches a full rebuild
+console.log('=== Test 6: Incremental Transcript Index ===');
+const before = new Map([[1, 'the quick brown fox'], [2, 'a lazy dog sleeps'], [3, 'brown dog barks']]);
+const after = new Map([[1, 'the quick brown fox'], [3, 'brown dog barks loudly'], [4, 'a quick brown dog']]);
+const previousIndex = new TranscriptSearchIndex();
+previousIndex.build(before);
+const incremental = new TranscriptSearchIndex();
+incremental.build(after, { previous: previousIndex, reuse: new Set([1]) });
+const rebuilt = new TranscriptSearchIndex();
+rebuilt.build(after);
+const phraseHits = (index, phrase) => JSON.stringify([...index.findPhrase(phrase, { wholeWord: true })].sort());
+const phrases = ['brown dog', 'quick brown', 'lazy', 'loudly', 'the'];
+check('Copying unchanged transcripts gives the same matches as a full rebuild',
+  phrases.every(phrase => phraseHits(incremental, phrase) === phraseHits(rebuilt, phrase)) &&
+  incremental.tokenCount === rebuilt.tokenCount && incremental.documentFrequency('lazy') === 0);
+console.log('');
+
+finish('search ranking');
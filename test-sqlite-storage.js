@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the SQLite storage backend (sqlite-storage.js)
+ * Imports a small knowledge base into a database and checks that searches give
+ * the same results as with the JSON files it came from
+ */
+
+import { rmSync } from 'fs';
+import { join } from 'path';
+import { createRequire } from 'module';
+import HPRDataLoader from './data-loader.js';
+import { writeSqliteDatabase, SqliteEpisodeIndex, SqliteTranscriptIndex } from './sqlite-storage.js';
+import { check, finish, episode as record, host, series, comment, transcript, writeKnowledgeBase } from './test-helpers.js';
+
+const require = createRequire(import.meta.url);
+
+// Helper for an episode on the `id`th of January, with the text that is searched
+const episode = (id, title, tags, summary, notes, fields = {}) =>
+  record(id, { date: `2020-01-${String(id).padStart(2, '0')}`, title, tags, summary, notes, ...fields });
+
+const knowledgeBase = {
+  episodes: [
+    episode(1, 'Installing Linux on a Raspberry Pi', 'linux,raspberry pi', 'Getting started with the Pi', '<p>Flash the <b>SD card</b> and boot Linux.</p>'),
+    episode(2, 'Kubernetes at home', 'k8s,containers', 'Running a cluster of Raspberry Pis', '<p>We virtualize everything with <a href="#">containers</a>.</p>'),
+    episode(3, 'Why I use Emacs', 'editors,emacs', 'An editor for life', '<p>Emacs on Linux and on the command line.</p>', { hostid: 2 }),
+    episode(4, 'Virtualization explained', 'virtualization,linux', 'Virtual machines and containers', '<p>KVM, QEMU and friends.</p>', { series: 5 }),
+    episode(5, 'Node.js for the command line', 'javascript,node.js', 'Writing command line tools', '<p>Scripts &amp; tools in Node.js.</p>', { hostid: 2 }),
+    episode(6, 'Listener feedback', 'feedback', 'Comments on Linux and Emacs episodes', '', { series: 5 }),
+  ],
+  hosts: [host(1, { host: 'Ada' }), host(2, { host: 'Grace' })],
+  comments: [comment(1, 3, { comment_title: 'Emacs', comment_text: 'Vim is better' })],
+  series: [series(0), series(5, { name: 'Deep dives', description: 'Longer episodes' })],
+  transcripts: {
+    1: transcript(1, 'Today we install Linux on a Raspberry Pi. The Linux kernel boots from the SD card.'),
+    2: transcript(2, 'Kubernetes runs containers. Our cluster of Raspberry Pis runs the Linux kernel too.'),
+    3: transcript(3, 'Emacs is my editor. I run Emacs in a terminal on the command line.'),
+    4: transcript(4, 'Virtualization lets one machine run many virtual machines; containers share the kernel.'),
+  },
+};
+
+const root = writeKnowledgeBase(knowledgeBase);
+const dbPath = join(root, 'hpr.db');
+
+// Helper to compare results from both backends
+const sameResults = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+let json;
+let sqlite;
+try {
+  json = new HPRDataLoader({ root, storage: 'json', transcriptManifest: '' });
+  await json.load();
+  const counts = writeSqliteDatabase(json, dbPath);
+  sqlite = new HPRDataLoader({ storage: 'sqlite', sqlitePath: dbPath, transcriptManifest: '' });
+  await sqlite.load();
+
+  // Test 1: Import
+  console.log('=== Test 1: Import ===\n');
+
+  check('Every record and transcript is written', counts.episodes === 6 && counts.hosts === 2 && counts.comments === 1 && counts.series === 2 && counts.transcripts === 4);
+  check('The data loads without errors', sqlite.loadErrors.length === 0 && sqlite.validation.valid);
+  check('Searches use the database\'s indexes', sqlite.episodeIndex instanceof SqliteEpisodeIndex && sqlite.transcriptIndex instanceof SqliteTranscriptIndex);
+  check('Records read back the same', sameResults(sqlite.getEpisode(3), json.getEpisode(3)) && sameResults(sqlite.getHost(2), json.getHost(2)));
+  check('Transcripts read back the same', sqlite.getTranscript(2) === json.getTranscript(2) &&
+    sameResults(sqlite.getTranscriptHeader(2), json.getTranscriptHeader(2)));
+  check('The episode index has the same words', [...sqlite.episodeIndex.vocabulary()].sort().join() === [...json.episodeIndex.vocabulary()].sort().join());
+
+  const Database = require('better-sqlite3');
+  const db = new Database(dbPath, { readonly: true });
+  const matched = db.prepare("SELECT rowid FROM episode_fts WHERE episode_fts MATCH 'title:emacs OR tags:virtualization' ORDER BY rowid").pluck().all();
+  db.close();
+  check('episode_fts can be queried directly', matched.join() === '3,4');
+  console.log('');
+
+  // Test 2: Episode search
+  console.log('=== Test 2: Episode Search ===\n');
+
+  const episodeSearches = [
+    ['linux', {}],
+    ['raspberry pi', {}],
+    ['virtualize', {}],
+    ['virtualize', { expand: false }],
+    ['title:linux OR tags:emacs', {}],
+    ['"command line"', {}],
+    ['linux -emacs', {}],
+    ['node.js', {}],
+    ['containers', { sort: 'date' }],
+    ['linux', { hostId: 2 }],
+    ['linux', { seriesId: 5, limit: 1 }],
+    ['notes:qemu', {}],
+    ['', { fromDate: '2020-01-03', toDate: '2020-01-05' }],
+    ['linx', {}],
+    ['raspbery linx', {}],
+  ];
+  for (const [query, options] of episodeSearches) {
+    const expected = json.searchEpisodes(query, options);
+    const actual = sqlite.searchEpisodes(query, options);
+    check(`"${query}" ${JSON.stringify(options)} finds ${actual.map(ep => ep.id).join(',') || 'nothing'} in the same order and with the same scores`,
+      expected.length > 0 && sameResults(actual, expected));
+  }
+  check('A search for a missing word finds nothing either way', sqlite.searchEpisodes('zzzz').length === 0 && json.searchEpisodes('zzzz').length === 0);
+  check('Suggestions are the same', sqlite.suggestQueries('emax linix').join() === json.suggestQueries('emax linix').join() &&
+    sqlite.suggestQueries('emax linix').length > 0);
+  console.log('');
+
+  // Test 3: Transcript search
+  console.log('=== Test 3: Transcript Search ===\n');
+
+  const transcriptSearches = [
+    ['linux kernel', {}],
+    ['kernel', { matchMode: 'all', terms: ['linux', 'kernel'] }],
+    ['"command line"', {}],
+    ['containers', { hostId: 1 }],
+    ['emacs NEAR/3 terminal', {}],
+    ['virtualize', {}],
+  ];
+  for (const [query, options] of transcriptSearches) {
+    const expected = json.searchTranscripts(query, options);
+    const actual = sqlite.searchTranscripts(query, options);
+    check(`"${query}" ${JSON.stringify(options)} finds ${actual.results.map(result => result.episode.id).join(',') || 'nothing'} the same way`,
+      expected.total > 0 && sameResults(actual, expected));
+  }
+  console.log('');
+} finally {
+  json?.storage.close();
+  sqlite?.storage.close();
+  rmSync(root, { recursive: true, force: true });
+}
+
+finish('SQLite storage');
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Streamable HTTP endpoint (/mcp) of the HTTP MCP Server
+ *
+ * This script tests a running server by:
+ * 1. Starting a session with the SDK's Streamable HTTP client.
+ * 2. Listing tools and calling one.
+ * 3. Checking that requests with an unknown session id are rejected.
+ * 4. Ending the session and checking it is gone.
+ *
+ * Usage: node test-streamable-http.js (start the server first with npm run start:http)
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { check, finish } from './test-helpers.js';
+
+const SERVER_URL = process.env.MCP_SERVER_URL || 'http://localhost:3000';
+const MCP_ENDPOINT = `${SERVER_URL}/mcp`;
+
+console.log('-- Testing MCP Server over Streamable HTTP');
+console.log(`-- Endpoint: ${MCP_ENDPOINT}`);
+console.log('');
+
+const client = new Client({ name: 'test-streamable-http', version: '1.0.0' });
+const transport = new StreamableHTTPClientTransport(new URL(MCP_ENDPOINT));
+
+try {
+  await client.connect(transport);
+  check('Initialize returns an Mcp-Session-Id', Boolean(transport.sessionId));
+
+  const { tools } = await client.listTools();
+  check(`tools/list returns the tools (${tools.map(tool => tool.name).join(', ')})`, tools.length > 0);
+
+  const result = await client.callTool({ name: 'get_episode', arguments: { episodeId: 16, includeTranscript: false } });
+  check('tools/call returns structured content', result.structuredContent?.episode?.id === 16);
+
+  const unknownSession = await fetch(MCP_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      'Mcp-Session-Id': 'not-a-session',
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+  });
+  check('An unknown session id is rejected with 404', unknownSession.status === 404);
+
+  const sessionId = transport.sessionId;
+  await transport.terminateSession();
+  const afterDelete = await fetch(MCP_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      'Mcp-Session-Id': sessionId,
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+  });
+  check('DELETE ends the session', afterDelete.status === 404);
+} catch (error) {
+  check(`Unexpected error: ${error.message}`, false);
+} finally {
+  await client.close();
+}
+
+console.log('');
+finish('Streamable HTTP');
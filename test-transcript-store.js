@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the transcript stores
+ * Checks that lazy storage keeps transcript text out of the heap, and its LRU cache
+ */
+
+import { mkdtempSync, writeFileSync, readFileSync, rmSync, statSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { setFlagsFromString } from 'v8';
+import { runInNewContext } from 'vm';
+import { MemoryTranscriptStore, LazyTranscriptStore } from './transcript-store.js';
+import { check, finish, transcript } from './test-helpers.js';
+
+setFlagsFromString('--expose-gc');
+const gc = runInNewContext('gc');
+
+const MB = 1024 * 1024;
+const directory = mkdtempSync(join(tmpdir(), 'hpr-transcripts-'));
+
+// Helper to write transcript files with headers, returning their paths by episode id
+function writeTranscripts(count, bodyBytes) {
+  const files = new Map();
+  for (let id = 1; id <= count; id++) {
+    const body = `episode ${id} words `.repeat(Math.ceil(bodyBytes / 20)).slice(0, bodyBytes);
+    const filePath = join(directory, `hpr${String(id).padStart(4, '0')}.txt`);
+    writeFileSync(filePath, transcript(id, body, { title: `A fairly long episode title for episode number ${id}` }));
+    files.set(id, filePath);
+  }
+  return files;
+}
+
+// Helper to measure the heap a store keeps after its transcripts are added
+// the way JsonStorage adds them, with the file's text already read
+function retainedHeap(store, files) {
+  gc();
+  const before = process.memoryUsage().heapUsed;
+  for (const [id, filePath] of files) {
+    store.add(id, filePath, readFileSync(filePath, 'utf-8'));
+  }
+  gc();
+  return process.memoryUsage().heapUsed - before;
+}
+
+try {
+  // Test 1: Heap use
+  console.log('=== Test 1: Heap Use ===\n');
+
+  const files = writeTranscripts(200, 100 * 1024);
+  const textBytes = 200 * 100 * 1024;
+
+  const memory = new MemoryTranscriptStore();
+  const memoryHeap = retainedHeap(memory, files);
+  check(`Memory storage keeps the text in the heap (${(memoryHeap / MB).toFixed(1)}MB)`, memoryHeap > textBytes * 0.5);
+
+  const lazy = new LazyTranscriptStore({ cacheBytes: 0 });
+  const lazyHeap = retainedHeap(lazy, files);
+  check(`Lazy storage does not (${(lazyHeap / MB).toFixed(1)}MB for ${(textBytes / MB).toFixed(1)}MB of text)`, lazyHeap < textBytes * 0.05);
+  check('Lazy storage still has the headers', lazy.header(7).title === 'A fairly long episode title for episode number 7' && lazy.header(7).episode === 7);
+  check('Lazy storage reads the text without the header', lazy.get(7).startsWith('episode 7 words') && lazy.get(7) === memory.get(7));
+  console.log('');
+
+  // Test 2: LRU cache
+  console.log('=== Test 2: LRU Cache ===\n');
+
+  const fileSize = statSync(files.get(1)).size;
+  const cache = new LazyTranscriptStore({ cacheBytes: fileSize * 3 });
+  for (const id of [1, 2, 3, 4, 5]) {
+    cache.add(id, files.get(id));
+  }
+  const cachedIds = () => [...cache.cache.keys()];
+
+  cache.get(1);
+  cache.get(2);
+  cache.get(3);
+  check('Transcripts read are cached, counted by file size',
+    cachedIds().join() === '1,2,3' && cache.stats().cachedBytes === fileSize * 3 && cache.stats().misses === 3);
+
+  cache.get(1);
+  check('A cached transcript is read from the cache', cache.stats().hits === 1 && cache.stats().misses === 3);
+
+  cache.get(4);
+  check('The least recently used transcript is evicted to make room', cachedIds().join() === '3,1,4' && cache.stats().cachedBytes === fileSize * 3);
+
+  cache.get(2);
+  cache.get(5);
+  check('Evicted transcripts are read again', cachedIds().join() === '4,2,5' && cache.stats().misses === 6);
+  check('The evicted text is the same as before', cache.get(2) === memory.get(2));
+
+  const before = cachedIds().join();
+  const iterated = [...cache];
+  check('Iterating reads every transcript without changing the cache',
+    iterated.length === 5 && iterated[0][1] === memory.get(1) && cachedIds().join() === before && cache.stats().cachedBytes === fileSize * 3);
+
+  const small = new LazyTranscriptStore({ cacheBytes: fileSize - 1 });
+  small.add(1, files.get(1));
+  check('A transcript larger than the cache is read but not cached',
+    small.get(1) === memory.get(1) && small.stats().cachedTranscripts === 0 && small.stats().cachedBytes === 0);
+
+  const adopted = new LazyTranscriptStore({ cacheBytes: fileSize * 3 });
+  check('A transcript location is adopted from a previous lazy store, with an empty cache',
+    adopted.adopt(2, cache) && adopted.get(2) === memory.get(2) && adopted.stats().cachedBytes === fileSize && !adopted.adopt(2, memory));
+  console.log('');
+} finally {
+  rmSync(directory, { recursive: true, force: true });
+}
+
+finish('transcript store');
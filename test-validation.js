@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the knowledge base validation (validation.js)
+ * Loads small knowledge bases with known problems and checks what is reported
+ */
+
+import { rmSync } from 'fs';
+import { tmpdir } from 'os';
+import HPRDataLoader from './data-loader.js';
+import { formatFinding, validateKnowledgeBase } from './validation.js';
+import { check, finish, episode, host, series, comment, transcript, writeKnowledgeBase } from './test-helpers.js';
+
+const directories = [];
+
+// Helper to write a knowledge base (omitting collections given as undefined) and load it
+async function loadKnowledgeBase(knowledgeBase) {
+  const root = writeKnowledgeBase(knowledgeBase);
+  directories.push(root);
+
+  const loader = new HPRDataLoader({ root, transcriptManifest: '' });
+  await loader.load();
+  return loader.validation;
+}
+
+// Helper to check that a report has a finding of `severity` in `file` mentioning `text`
+function checkFinding(description, report, severity, file, text) {
+  const finding = report.findings.find(f => f.severity === severity && f.file === file && f.message.includes(text));
+  check(`${description} → ${finding ? formatFinding(finding) : 'not reported'}`, Boolean(finding));
+}
+
+try {
+  // Test 1: Valid data
+  console.log('=== Test 1: Valid Data ===\n');
+
+  const valid = await loadKnowledgeBase({
+    episodes: [episode(1), episode(2, { series: 3 })],
+    hosts: [host(1)],
+    comments: [comment(1, 1)],
+    series: [series(0), series(3)],
+    transcripts: { 1: transcript(1) },
+  });
+  check('Consistent data is valid, with no findings', valid.valid && valid.errors === 0 && valid.warnings === 0);
+  check('The records are counted', valid.counts.episodes === 2 && valid.counts.hosts === 1 && valid.counts.transcripts === 1);
+  console.log('');
+
+  // Test 2: Missing files
+  console.log('=== Test 2: Missing Files ===\n');
+
+  const missing = await loadKnowledgeBase({ episodes: [episode(1)], hosts: undefined, comments: [], series: [series(0)] });
+  check('A missing required file makes the data invalid', !missing.valid);
+  checkFinding('A missing metadata file', missing, 'error', 'hpr_metadata/hosts.json', 'Failed to load');
+  checkFinding('Its episodes then refer to a missing host', missing, 'warning', 'hpr_metadata/episodes.json', 'Episode 1 refers to missing host 1');
+  checkFinding('An empty optional file', missing, 'warning', 'hpr_metadata/comments.json', 'Contains no records');
+  console.log('');
+
+  // Test 3: Integrity problems
+  console.log('=== Test 3: Integrity Problems ===\n');
+
+  const broken = await loadKnowledgeBase({
+    episodes: [episode(1), episode(1, { title: 'Again' }), episode(2, { hostid: 9, series: 7 }), episode(3, { date: '2020/01/03' })],
+    hosts: [host(1), { ...host(2), email: undefined }],
+    comments: [comment(1, 42)],
+    series: [series(0)],
+    transcripts: { 2: 'No header here', 3: transcript(4), 5: transcript(5) },
+  });
+  check(`Problems are counted (${broken.errors} errors, ${broken.warnings} warnings)`, !broken.valid && broken.errors === 3 && broken.warnings === 6);
+  checkFinding('A duplicate id', broken, 'error', 'hpr_metadata/episodes.json', 'Episode id 1 is used by 2 records');
+  checkFinding('A missing field', broken, 'error', 'hpr_metadata/hosts.json', 'Host 2 is missing "email"');
+  checkFinding('A mistyped field', broken, 'error', 'hpr_metadata/episodes.json', 'Episode 3 has "date" "2020/01/03", expected a YYYY-MM-DD date');
+  checkFinding('A dangling host reference', broken, 'warning', 'hpr_metadata/episodes.json', 'Episode 2 refers to missing host 9');
+  checkFinding('A dangling series reference', broken, 'warning', 'hpr_metadata/episodes.json', 'Episode 2 refers to missing series 7');
+  checkFinding('A comment on a missing episode', broken, 'warning', 'hpr_metadata/comments.json', 'Comment 1 refers to missing episode 42');
+  checkFinding('A transcript without a header', broken, 'warning', 'hpr_transcripts/hpr0002.txt', 'Has no');
+  checkFinding('A transcript whose header names another episode', broken, 'warning', 'hpr_transcripts/hpr0003.txt', 'Header says it is episode 4');
+  checkFinding('A transcript without an episode', broken, 'warning', 'hpr_transcripts/hpr0005.txt', 'which is not among the episodes');
+  console.log('');
+
+  // Test 4: Records that are not objects
+  console.log('=== Test 4: Records That Are Not Objects ===\n');
+
+  const corrupt = await loadKnowledgeBase({
+    episodes: [episode(1), null, 'episode 2', [episode(3)]],
+    hosts: [42],
+    comments: [],
+    series: [series(0)],
+  });
+  checkFinding('A null record', corrupt, 'error', 'hpr_metadata/episodes.json', 'Record 2 is not an object');
+  checkFinding('A string record', corrupt, 'error', 'hpr_metadata/episodes.json', 'Record 3 is not an object');
+  checkFinding('An array record', corrupt, 'error', 'hpr_metadata/episodes.json', 'Record 4 is not an object');
+  checkFinding('A file with only a number', corrupt, 'error', 'hpr_metadata/hosts.json', 'Record 1 is not an object');
+  check('The records are left out, without calling the file empty, and the rest is still checked',
+    corrupt.counts.episodes === 1 && corrupt.counts.hosts === 0 && corrupt.errors === 4 &&
+    !corrupt.findings.some(f => f.file === 'hpr_metadata/hosts.json' && f.message === 'Contains no records') &&
+    corrupt.findings.some(f => f.message === 'Episode 1 refers to missing host 1'));
+
+  const unloaded = new HPRDataLoader({ root: tmpdir(), transcriptManifest: '' });
+  unloaded.episodes = [episode(1), null];
+  const direct = validateKnowledgeBase(unloaded);
+  checkFinding('The validator reports them in records given to it directly', direct, 'error', 'hpr_metadata/episodes.json', 'Record 2 is not an object');
+  console.log('');
+} finally {
+  for (const directory of directories) {
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+finish('validation');
@@ -32,8 +32,16 @@ server.stdout.on('data', (data) => {
   }
 });
 
+let started = false;
+
 server.stderr.on('data', (data) => {
   console.error('Server:', data.toString());
+
+  // Index building takes a few seconds; start testing once the server is ready
+  if (!started && data.toString().includes('MCP server running')) {
+    started = true;
+    runTests();
+  }
 });
 
 server.on('close', (code) => {
@@ -53,31 +61,33 @@ function sendMessage(method, params = {}) {
   console.log('Sent:', JSON.stringify(message, null, 2));
 }
 
-// Wait a bit for server to start, then send test messages
-setTimeout(() => {
-  console.log('\n=== Testing Initialization ===');
-  sendMessage('initialize', {
-    protocolVersion: '2024-11-05',
-    capabilities: {},
-    clientInfo: {
-      name: 'test-client',
-      version: '1.0.0',
-    },
-  });
-}, 1000);
-
-setTimeout(() => {
-  console.log('\n=== Testing List Resources ===');
-  sendMessage('resources/list');
-}, 2000);
-
-setTimeout(() => {
-  console.log('\n=== Testing List Tools ===');
-  sendMessage('tools/list');
-}, 3000);
-
-setTimeout(() => {
-  console.log('\n=== Test complete, shutting down ===');
-  server.kill();
-  process.exit(0);
-}, 5000);
+// Send test messages once the server has started
+function runTests() {
+  setTimeout(() => {
+    console.log('\n=== Testing Initialization ===');
+    sendMessage('initialize', {
+      protocolVersion: '2024-11-05',
+      capabilities: {},
+      clientInfo: {
+        name: 'test-client',
+        version: '1.0.0',
+      },
+    });
+  }, 1000);
+
+  setTimeout(() => {
+    console.log('\n=== Testing List Resources ===');
+    sendMessage('resources/list');
+  }, 2000);
+
+  setTimeout(() => {
+    console.log('\n=== Testing List Tools ===');
+    sendMessage('tools/list');
+  }, 3000);
+
+  setTimeout(() => {
+    console.log('\n=== Test complete, shutting down ===');
+    server.kill();
+    process.exit(0);
+  }, 5000);
+}
@@ -0,0 +1,246 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Tokenizing, English stemming and synonym/acronym expansion for search.
+ */
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into lowercase word tokens
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text).toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Character offsets of each token produced by tokenize(), so token positions
+ * from the transcript index can be mapped back onto the original text
+ */
+export function tokenOffsets(text) {
+  const offsets = [];
+  const pattern = new RegExp(TOKEN_PATTERN.source, TOKEN_PATTERN.flags);
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    offsets.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return offsets;
+}
+
+const VOWEL_PATTERN = /[aeiou]/;
+
+/**
+ * Whether the letter at index i is a consonant (Porter's definition, where
+ * "y" after a consonant acts as a vowel)
+ */
+function isConsonant(word, i) {
+  const char = word[i];
+  if (VOWEL_PATTERN.test(char)) return false;
+  if (char === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+/**
+ * Porter's measure m: the number of vowel-consonant sequences in a stem
+ */
+function measure(part) {
+  let count = 0;
+  let i = 0;
+  const length = part.length;
+
+  while (i < length && isConsonant(part, i)) i++;
+  while (i < length) {
+    while (i < length && !isConsonant(part, i)) i++;
+    if (i >= length) break;
+    while (i < length && isConsonant(part, i)) i++;
+    count++;
+  }
+  return count;
+}
+
+function containsVowel(part) {
+  for (let i = 0; i < part.length; i++) {
+    if (!isConsonant(part, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const length = word.length;
+  return length >= 2 && word[length - 1] === word[length - 2] && isConsonant(word, length - 1);
+}
+
+/**
+ * Ends consonant-vowel-consonant, where the final consonant is not w, x or y
+ */
+function endsCvc(word) {
+  const length = word.length;
+  if (length < 3) return false;
+  return isConsonant(word, length - 3) && !isConsonant(word, length - 2) &&
+    isConsonant(word, length - 1) && !'wxy'.includes(word[length - 1]);
+}
+
+/**
+ * Replace the first matching suffix whose remaining stem satisfies the condition
+ */
+function replaceSuffix(word, rules, condition) {
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix)) {
+      const part = word.slice(0, -suffix.length);
+      return condition(part) ? part + replacement : word;
+    }
+  }
+  return word;
+}
+
+const STEP2_RULES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'],
+  ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+  ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+  ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log'],
+];
+
+const STEP3_RULES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', ''],
+];
+
+// Longest first, so e.g. "ement" is tried before "ment" and "ent"
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize',
+].sort((a, b) => b.length - a.length);
+
+/**
+ * Reduce an English word to its stem using the Porter algorithm,
+ * e.g. "virtualization" and "virtualize" both become "virtual"
+ */
+export function stem(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  let w = word;
+
+  // Step 1a: plurals
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = w.slice(0, -2);
+  else if (!w.endsWith('ss') && w.endsWith('s')) w = w.slice(0, -1);
+
+  // Step 1b: -eed, -ed, -ing
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const suffix = w.endsWith('ed') ? 'ed' : w.endsWith('ing') ? 'ing' : null;
+    if (suffix && containsVowel(w.slice(0, -suffix.length))) {
+      w = w.slice(0, -suffix.length);
+      if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+        w += 'e';
+      } else if (endsWithDoubleConsonant(w) && !'lsz'.includes(w[w.length - 1])) {
+        w = w.slice(0, -1);
+      } else if (measure(w) === 1 && endsCvc(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c: y -> i
+  if (w.endsWith('y') && containsVowel(w.slice(0, -1))) {
+    w = w.slice(0, -1) + 'i';
+  }
+
+  // Steps 2-3: double and single suffixes
+  w = replaceSuffix(w, STEP2_RULES, part => measure(part) > 0);
+  w = replaceSuffix(w, STEP3_RULES, part => measure(part) > 0);
+
+  // Step 4: remove suffixes from longer stems
+  for (const suffix of STEP4_SUFFIXES) {
+    if (w.endsWith(suffix)) {
+      const part = w.slice(0, -suffix.length);
+      const allowed = suffix === 'ion'
+        ? measure(part) > 1 && /[st]$/.test(part)
+        : measure(part) > 1;
+      if (allowed) w = part;
+      break;
+    }
+  }
+
+  // Step 5: tidy up final -e and -ll
+  if (w.endsWith('e')) {
+    const part = w.slice(0, -1);
+    const m = measure(part);
+    if (m > 1 || (m === 1 && !endsCvc(part))) w = part;
+  }
+  if (measure(w) > 1 && endsWithDoubleConsonant(w) && w.endsWith('l')) {
+    w = w.slice(0, -1);
+  }
+
+  return w;
+}
+
+/**
+ * Group vocabulary words by stem, as a Map of stem to the words sharing it
+ */
+export function groupByStem(words) {
+  const groups = new Map();
+  for (const word of words) {
+    const wordStem = stem(word);
+    const group = groups.get(wordStem);
+    if (group) {
+      group.push(word);
+    } else {
+      groups.set(wordStem, [word]);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Table of equivalent words and phrases (synonyms and acronyms).
+ * The file is a JSON array of groups, e.g. [["vm", "virtual machine"], ["k8s", "kubernetes"]].
+ */
+export class SynonymTable {
+  constructor(groups = []) {
+    this.groups = new Map(); // normalised phrase -> every phrase in its group
+
+    for (const group of groups) {
+      if (!Array.isArray(group)) continue;
+      const phrases = [...new Set(group.map(phrase => tokenize(phrase).join(' ')).filter(Boolean))];
+      for (const phrase of phrases) {
+        const existing = this.groups.get(phrase) || [];
+        this.groups.set(phrase, [...new Set([...existing, ...phrases])]);
+      }
+    }
+  }
+
+  /**
+   * Load a synonym file, returning an empty table if it is missing or invalid
+   */
+  static load(filePath) {
+    try {
+      const groups = JSON.parse(readFileSync(filePath, 'utf-8'));
+      if (!Array.isArray(groups)) {
+        throw new Error('expected an array of synonym groups');
+      }
+      return new SynonymTable(groups);
+    } catch (error) {
+      console.error(`Synonyms not loaded from ${filePath}:`, error.message);
+      return new SynonymTable();
+    }
+  }
+
+  get size() {
+    return this.groups.size;
+  }
+
+  /**
+   * The value itself followed by any equivalent phrases
+   */
+  alternatives(value) {
+    const key = tokenize(value).join(' ');
+    const group = this.groups.get(key) || [];
+    return [value, ...group.filter(phrase => phrase !== key)];
+  }
+}
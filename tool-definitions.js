@@ -0,0 +1,248 @@
+import { OUTPUT_SCHEMAS } from './structured-output.js';
+
+/**
+ * Definitions of the tools both servers list: name, description, annotations
+ * and input/output JSON Schemas. The OpenAPI document (openapi.js) is built
+ * from the same schemas.
+ */
+export const TOOL_DEFINITIONS = [
+  {
+    name: 'search_episodes',
+    description: 'Search HPR episodes by keywords in title, summary, tags, or host notes. Can filter by host, series, tags, and date range.',
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search query (searches title, summary, tags, and notes). Supports AND/OR/NOT, parentheses, "quoted phrases", -exclude, and field prefixes such as title:, tag:, host:, series:, date:>2015-01-01',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of results to return (default: 20)',
+        },
+        hostId: {
+          type: 'number',
+          description: 'Filter by host ID',
+        },
+        seriesId: {
+          type: 'number',
+          description: 'Filter by series ID',
+        },
+        tag: {
+          type: 'string',
+          description: 'Filter by tag',
+        },
+        fromDate: {
+          type: 'string',
+          description: 'Filter episodes from this date (YYYY-MM-DD)',
+        },
+        toDate: {
+          type: 'string',
+          description: 'Filter episodes to this date (YYYY-MM-DD)',
+        },
+        sort: {
+          type: 'string',
+          enum: ['relevance', 'date'],
+          description: 'Result order: "relevance" (default) ranks by BM25 score, "date" lists newest first',
+        },
+        expand: {
+          type: 'boolean',
+          description: 'Also match stem variants and synonyms of each word, e.g. "virtualize" finds "virtualization" and "VM" finds "virtual machine" (default: true)',
+        },
+        cursor: {
+          type: 'string',
+          description: 'Opaque cursor from a previous response ("Next cursor") to fetch the next page; repeat the other arguments unchanged',
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'json'],
+          description: 'How to render the text content: "markdown" (default) or "json" (the structured content as JSON)',
+        },
+      },
+      required: [],
+    },
+    outputSchema: OUTPUT_SCHEMAS.search_episodes,
+  },
+  {
+    name: 'get_episode',
+    description: 'Get detailed information about a specific HPR episode including transcript if available',
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        episodeId: {
+          type: 'number',
+          description: 'Episode ID number',
+        },
+        includeTranscript: {
+          type: 'boolean',
+          description: 'Include full transcript if available (default: true)',
+        },
+        includeComments: {
+          type: 'boolean',
+          description: 'Include community comments (default: true)',
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'json'],
+          description: 'How to render the text content: "markdown" (default) or "json" (the structured content as JSON)',
+        },
+      },
+      required: ['episodeId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_episode,
+  },
+  {
+    name: 'search_transcripts',
+    description: 'Search through episode transcripts using phrases or multiple terms with AND/OR matching and optional host filters',
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search phrase to find in transcripts. Combine with terms/matchMode for advanced searches. Queries using AND/OR/NOT, parentheses, "quoted phrases", -exclude or field prefixes (title:, tag:, host:, series:, date:>2015-01-01) are parsed as a boolean query.',
+        },
+        terms: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Explicit list of terms to search for; useful when pairing with matchMode "any" or "all".',
+        },
+        matchMode: {
+          type: 'string',
+          enum: ['any', 'all', 'phrase', 'query'],
+          description: 'How to interpret the query/terms. "phrase" (default) matches the phrase exactly, "any" matches if any term is present, "all" requires every term, "query" parses the boolean/fielded query syntax (used automatically when the query contains it).',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of episodes to return (default: 20)',
+        },
+        contextLines: {
+          type: 'number',
+          description: 'Number of lines of context around matches (default: 3)',
+        },
+        hostId: {
+          type: 'number',
+          description: 'Restrict matches to a given host ID.',
+        },
+        hostName: {
+          type: 'string',
+          description: 'Restrict matches to hosts whose name contains this value.',
+        },
+        caseSensitive: {
+          type: 'boolean',
+          description: 'Perform a case-sensitive search (default: false).',
+        },
+        wholeWord: {
+          type: 'boolean',
+          description: 'Match whole words only (default: false).',
+        },
+        maxMatchesPerEpisode: {
+          type: 'number',
+          description: 'Maximum number of excerpt matches to include per episode (default: 5).',
+        },
+        withinWords: {
+          type: 'number',
+          description: 'Only match when all terms occur within this many words of each other; excerpts are centred on that window. For queries, use "term NEAR/n term" instead.',
+        },
+        expand: {
+          type: 'boolean',
+          description: 'Also match stem variants and synonyms of each term (default: true). Case-sensitive searches are never expanded.',
+        },
+        cursor: {
+          type: 'string',
+          description: 'Opaque cursor from a previous response ("Next cursor") to fetch the next page; repeat the other arguments unchanged',
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'json'],
+          description: 'How to render the text content: "markdown" (default) or "json" (the structured content as JSON)',
+        },
+      },
+      required: [],
+    },
+    outputSchema: OUTPUT_SCHEMAS.search_transcripts,
+  },
+  {
+    name: 'get_host_info',
+    description: 'Get information about an HPR host including all their episodes',
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        hostId: {
+          type: 'number',
+          description: 'Host ID number',
+        },
+        hostName: {
+          type: 'string',
+          description: 'Host name (will search if hostId not provided)',
+        },
+        includeEpisodes: {
+          type: 'boolean',
+          description: 'Include list of all episodes by this host (default: true)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of episodes to list (default: 50)',
+        },
+        cursor: {
+          type: 'string',
+          description: 'Opaque cursor from a previous response ("Next cursor") to fetch the next page; repeat the other arguments unchanged',
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'json'],
+          description: 'How to render the text content: "markdown" (default) or "json" (the structured content as JSON)',
+        },
+      },
+      required: [],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_host_info,
+  },
+  {
+    name: 'get_series_info',
+    description: 'Get information about an HPR series including all episodes in the series',
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        seriesId: {
+          type: 'number',
+          description: 'Series ID number',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of episodes to list (default: 50)',
+        },
+        cursor: {
+          type: 'string',
+          description: 'Opaque cursor from a previous response ("Next cursor") to fetch the next page; repeat the other arguments unchanged',
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'json'],
+          description: 'How to render the text content: "markdown" (default) or "json" (the structured content as JSON)',
+        },
+      },
+      required: ['seriesId'],
+    },
+    outputSchema: OUTPUT_SCHEMAS.get_series_info,
+  },
+];
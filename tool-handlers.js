@@ -0,0 +1,318 @@
+import { paginate, requestScope, decodeCursor, encodeCursor, EPISODE_LIST_PAGE_SIZE } from './pagination.js';
+import {
+  episodeData,
+  hostData,
+  seriesData,
+  commentData,
+  transcriptResultData,
+  pageData,
+} from './structured-output.js';
+import {
+  stripHtml,
+  formatEpisode,
+  formatComments,
+  formatSuggestions,
+  formatFacets,
+  formatPageInfo,
+  formatTranscriptSearchResults,
+  pageMeta,
+} from './formatters.js';
+
+/**
+ * The MCP tools (see tool-definitions.js) over HPRDataLoader, shared by both
+ * servers (index.js and server-http.js)
+ */
+
+// Helper to build a tool result: structured content plus text rendered as
+// markdown, or as the structured content's JSON with format: 'json'
+function toolResult(args, markdown, structuredContent, page = null) {
+  if (args.format !== undefined && args.format !== 'markdown' && args.format !== 'json') {
+    throw new Error(`Unknown format "${args.format}" (expected "markdown" or "json")`);
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: args.format === 'json' ? JSON.stringify(structuredContent, null, 2) : markdown,
+      },
+    ],
+    structuredContent,
+    ...(page ? pageMeta(page) : {}),
+  };
+}
+
+
+/**
+ * Run a tool. Errors are returned as an isError result for the client to see
+ * rather than thrown.
+ */
+export async function callTool(dataLoader, name, args) {
+  try {
+    if (name === 'search_episodes') {
+      // Facets cover every match, so search without a limit and trim afterwards
+      const matches = dataLoader.searchEpisodes(args.query || '', {
+        limit: Infinity,
+        hostId: args.hostId,
+        seriesId: args.seriesId,
+        tag: args.tag,
+        fromDate: args.fromDate,
+        toDate: args.toDate,
+        sort: args.sort,
+        expand: args.expand,
+      });
+      const page = paginate(matches, {
+        cursor: args.cursor,
+        limit: args.limit || 20,
+        scope: requestScope(name, args),
+      });
+      const results = page.items;
+      // Facets describe the whole match set, so they are only given on the first page
+      const facets = results.length > 0 && page.offset === 0 ? dataLoader.getEpisodeFacets(matches) : null;
+      let suggestions = [];
+
+      let text;
+      if (results.length > 0) {
+        text = results.map(ep => formatEpisode(dataLoader, ep, false)).join('\n\n---\n\n') +
+          (facets ? formatFacets(facets, matches.length) : '') +
+          formatPageInfo(page);
+      } else if (matches.length > 0) {
+        text = `No more episodes: all ${matches.length} matching episodes have been listed.`;
+      } else {
+        suggestions = dataLoader.suggestQueries(args.query || '', { corpus: 'episodes' });
+        text = 'No episodes found matching your search criteria.' + formatSuggestions(suggestions);
+      }
+
+      return toolResult(
+        args,
+        `# Search Results (${results.length < matches.length ? `${results.length} of ${matches.length}` : results.length} episodes found)\n\n${text}`,
+        {
+          ...pageData(page),
+          episodes: results.map(ep => episodeData(dataLoader, ep)),
+          facets,
+          suggestions,
+        },
+        page
+      );
+    }
+
+    if (name === 'get_episode') {
+      const episode = dataLoader.getEpisode(args.episodeId);
+
+      if (!episode) {
+        return toolResult(args, `Episode ${args.episodeId} not found.`, { episode: null });
+      }
+
+      let text = formatEpisode(dataLoader, episode, true);
+      const structured = { episode: episodeData(dataLoader, episode, { includeNotes: true }) };
+
+      // Add transcript if requested and available
+      if (args.includeTranscript !== false) {
+        const transcript = dataLoader.getTranscript(args.episodeId);
+        structured.transcript = transcript || null;
+        if (transcript) {
+          text += `\n\n## Transcript\n\n${transcript}`;
+        } else {
+          text += `\n\n## Transcript\n\n*No transcript available for this episode.*`;
+        }
+      }
+
+      // Add comments if requested
+      if (args.includeComments !== false) {
+        const comments = dataLoader.getCommentsForEpisode(args.episodeId);
+        structured.comments = comments.map(commentData);
+        if (comments.length > 0) {
+          text += `\n\n## Comments (${comments.length})\n\n`;
+          text += formatComments(comments);
+        }
+      }
+
+      return toolResult(args, text, structured);
+    }
+
+    if (name === 'search_transcripts') {
+      const scope = requestScope(name, args);
+      const offset = args.cursor ? decodeCursor(args.cursor, scope) : 0;
+      const searchOptions = {
+        limit: args.limit || 20,
+        offset,
+        contextLines: args.contextLines ?? 3,
+        terms: args.terms,
+        matchMode: args.matchMode,
+        hostId: args.hostId,
+        hostName: args.hostName,
+        caseSensitive: args.caseSensitive,
+        wholeWord: args.wholeWord,
+        maxMatchesPerEpisode: args.maxMatchesPerEpisode ?? 5,
+        withinWords: args.withinWords,
+        expand: args.expand,
+      };
+
+      const { results, total } = dataLoader.searchTranscripts(args.query || '', searchOptions);
+      const nextOffset = offset + results.length;
+      const page = {
+        items: results,
+        offset,
+        total,
+        nextCursor: nextOffset < total ? encodeCursor(nextOffset, scope) : null,
+      };
+
+      if (results.length === 0 && total > 0) {
+        return toolResult(
+          args,
+          `No more transcripts: all ${total} matching episodes have been listed.`,
+          { ...pageData(page), results: [], suggestions: [] }
+        );
+      }
+
+      if (results.length === 0) {
+        const descriptorParts = [];
+        if (args.query) descriptorParts.push(`query "${args.query}"`);
+        if (Array.isArray(args.terms) && args.terms.length > 0) descriptorParts.push(`terms [${args.terms.join(', ')}]`);
+        if (args.hostId || args.hostName) descriptorParts.push('host filter applied');
+        const description = descriptorParts.length > 0 ? descriptorParts.join(', ') : 'the provided criteria';
+        const suggestions = dataLoader.suggestQueries(
+          args.query || (Array.isArray(args.terms) ? args.terms.join(', ') : ''),
+          { corpus: 'transcripts' }
+        );
+
+        return toolResult(
+          args,
+          `No transcripts found matching ${description}.${formatSuggestions(suggestions)}`,
+          { ...pageData(page), results: [], suggestions }
+        );
+      }
+
+      const formatArgs = {
+        ...args,
+        contextLines: searchOptions.contextLines,
+        maxMatchesPerEpisode: searchOptions.maxMatchesPerEpisode,
+      };
+
+      const text = formatTranscriptSearchResults(dataLoader, results, formatArgs, total) + formatPageInfo(page);
+
+      return toolResult(
+        args,
+        text,
+        {
+          ...pageData(page),
+          results: results.map(result => transcriptResultData(dataLoader, result)),
+          suggestions: [],
+        },
+        page
+      );
+    }
+
+    if (name === 'get_host_info') {
+      let host;
+
+      if (args.hostId) {
+        host = dataLoader.getHost(args.hostId);
+      } else if (args.hostName) {
+        const hosts = dataLoader.searchHosts(args.hostName);
+        host = hosts[0];
+      }
+
+      if (!host) {
+        return toolResult(args, 'Host not found.', { host: null });
+      }
+
+      let text = `# ${host.host}`;
+
+      // Add match type indicator for fuzzy matches
+      if (host.matchType === 'fuzzy') {
+        text += ` *(fuzzy match, distance: ${host.matchDistance})*`;
+      }
+
+      text += `
+
+**Host ID:** ${host.hostid}
+**Email:** ${host.email}
+**License:** ${host.license}
+**Profile:** ${stripHtml(host.profile)}
+`;
+
+      const structured = { host: hostData(host) };
+      let page = null;
+      if (args.includeEpisodes !== false) {
+        const episodes = dataLoader.getEpisodesByHost(host.hostid);
+        text += `\n**Total Episodes:** ${episodes.length}\n\n## Episodes\n\n`;
+
+        // Sort by date (newest first)
+        episodes.sort((a, b) => b.date.localeCompare(a.date));
+
+        page = paginate(episodes, {
+          cursor: args.cursor,
+          limit: args.limit || EPISODE_LIST_PAGE_SIZE,
+          scope: requestScope(name, args),
+        });
+
+        text += page.items.map(ep =>
+          `**HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title}\n  ${ep.summary}`
+        ).join('\n\n');
+        text += formatPageInfo(page);
+        Object.assign(structured, pageData(page), { episodes: page.items.map(ep => episodeData(dataLoader, ep)) });
+      }
+
+      return toolResult(args, text, structured, page);
+    }
+
+    if (name === 'get_series_info') {
+      const series = dataLoader.getSeries(args.seriesId);
+
+      if (!series) {
+        return toolResult(args, `Series ${args.seriesId} not found.`, { series: null });
+      }
+
+      const episodes = dataLoader.getEpisodesInSeries(args.seriesId);
+
+      let text = `# ${series.name}
+
+**Series ID:** ${series.id}
+**Description:** ${stripHtml(series.description)}
+**Total Episodes:** ${episodes.length}
+
+## Episodes in Series
+
+`;
+
+      // Sort by date
+      episodes.sort((a, b) => a.date.localeCompare(b.date));
+
+      const page = paginate(episodes, {
+        cursor: args.cursor,
+        limit: args.limit || EPISODE_LIST_PAGE_SIZE,
+        scope: requestScope(name, args),
+      });
+
+      text += page.items.map((ep, index) => {
+        const host = dataLoader.getHost(ep.hostid);
+        return `${page.offset + index + 1}. **HPR${String(ep.id).padStart(4, '0')}** (${ep.date}) - ${ep.title} by ${host?.host || 'Unknown'}\n   ${ep.summary}`;
+      }).join('\n\n');
+      text += formatPageInfo(page);
+
+      return toolResult(
+        args,
+        text,
+        {
+          series: seriesData(series),
+          ...pageData(page),
+          episodes: page.items.map(ep => episodeData(dataLoader, ep)),
+        },
+        page
+      );
+    }
+
+    throw new Error(`Unknown tool: ${name}`);
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: ${error.message}`,
+        },
+      ],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,247 @@
+import { readFileSync, statSync, openSync, readSync, closeSync } from 'fs';
+
+/**
+ * Transcript storage used by HPRDataLoader. Both stores behave like a read-only
+ * Map of episode id to transcript text (get, has, keys, size and iteration),
+ * with the header stripped from the text and available from header().
+ * Transcripts are added from files with add() (passing the file's text if it has
+ * already been read), from another source with addSource(episodeId, { size,
+ * header, read }), where read() returns the text, or copied from the previous
+ * store of the same kind with adopt().
+ */
+
+export const TRANSCRIPT_STORAGE_MODES = ['memory', 'lazy'];
+
+// Headers are only looked for at the start of a file
+const HEADER_MAX_BYTES = 2048;
+const HEADER_LINE_PATTERN = /^([A-Za-z][A-Za-z ]*):[ \t]*(.*)$/;
+
+/**
+ * Split a transcript into its header and spoken text. Transcripts start with
+ * "Episode:", "Title:", "Source:" and "Transcribed:" lines followed by "---".
+ * Returns { header, body }, where header maps lowercased field names to values
+ * (episode as a number) and is null if the text has no header.
+ */
+export function parseTranscript(text) {
+  const lines = text.slice(0, HEADER_MAX_BYTES).split(/\r?\n/);
+  const header = {};
+  let bodyStart = 0;
+
+  for (const line of lines) {
+    bodyStart += line.length + 1;
+    if (/^---\s*$/.test(line)) {
+      if (Object.keys(header).length === 0) break;
+      if (header.episode !== undefined) header.episode = Number(header.episode);
+      return { header, body: text.slice(bodyStart).replace(/^\s*\n/, '') };
+    }
+    if (line.trim() === '') continue;
+
+    const field = line.match(HEADER_LINE_PATTERN);
+    if (!field) break;
+    header[field[1].trim().toLowerCase()] = field[2].trim();
+  }
+
+  return { header: null, body: text };
+}
+
+// Helper to copy a header's values out of the text they were parsed from: as
+// substrings they would keep the whole text in memory
+function detachHeader(header) {
+  return header && JSON.parse(JSON.stringify(header));
+}
+
+/**
+ * Parse the header of a transcript file without reading the whole file
+ */
+function readHeader(filePath) {
+  const buffer = Buffer.alloc(HEADER_MAX_BYTES);
+  const fd = openSync(filePath, 'r');
+  try {
+    const bytesRead = readSync(fd, buffer, 0, HEADER_MAX_BYTES, 0);
+    return detachHeader(parseTranscript(buffer.toString('utf-8', 0, bytesRead)).header);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Keeps every transcript in memory
+ */
+export class MemoryTranscriptStore {
+  constructor() {
+    this.texts = new Map(); // episode id -> transcript text
+    this.headers = new Map(); // episode id -> parsed header
+  }
+
+  add(episodeId, filePath, text = readFileSync(filePath, 'utf-8')) {
+    const { header, body } = parseTranscript(text);
+    this.texts.set(episodeId, body);
+    if (header) {
+      this.headers.set(episodeId, header);
+    }
+  }
+
+  addSource(episodeId, { header, read }) {
+    this.texts.set(episodeId, read());
+    if (header) {
+      this.headers.set(episodeId, header);
+    }
+  }
+
+  /**
+   * Copy a transcript from another store, returning false if it cannot be copied
+   */
+  adopt(episodeId, previous) {
+    if (!(previous instanceof MemoryTranscriptStore) || !previous.has(episodeId)) {
+      return false;
+    }
+    this.texts.set(episodeId, previous.texts.get(episodeId));
+    if (previous.headers.has(episodeId)) {
+      this.headers.set(episodeId, previous.headers.get(episodeId));
+    }
+    return true;
+  }
+
+  get size() {
+    return this.texts.size;
+  }
+
+  has(episodeId) {
+    return this.texts.has(episodeId);
+  }
+
+  get(episodeId) {
+    return this.texts.get(episodeId);
+  }
+
+  header(episodeId) {
+    return this.headers.get(episodeId) || null;
+  }
+
+  keys() {
+    return this.texts.keys();
+  }
+
+  [Symbol.iterator]() {
+    return this.texts.entries();
+  }
+
+  stats() {
+    return { mode: 'memory', transcripts: this.texts.size };
+  }
+}
+
+/**
+ * Keeps only each transcript's location, size and header in memory and reads the text
+ * on demand, holding recently used transcripts in an LRU cache of at most
+ * `cacheBytes` (measured by file size)
+ */
+export class LazyTranscriptStore {
+  constructor({ cacheBytes = 32 * 1024 * 1024 } = {}) {
+    this.files = new Map(); // episode id -> { size, header, read }
+    this.cache = new Map(); // episode id -> text, least recently used first
+    this.cacheBytes = cacheBytes;
+    this.cachedBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  add(episodeId, filePath, text) {
+    this.addSource(episodeId, {
+      size: statSync(filePath).size,
+      header: text === undefined ? readHeader(filePath) : detachHeader(parseTranscript(text).header),
+      read: () => parseTranscript(readFileSync(filePath, 'utf-8')).body,
+    });
+  }
+
+  addSource(episodeId, { size, header, read }) {
+    this.files.set(episodeId, { size, header, read });
+  }
+
+  /**
+   * Copy a transcript's location from another store, returning false if it cannot be copied
+   */
+  adopt(episodeId, previous) {
+    if (!(previous instanceof LazyTranscriptStore) || !previous.has(episodeId)) {
+      return false;
+    }
+    this.files.set(episodeId, previous.files.get(episodeId));
+    return true;
+  }
+
+  get size() {
+    return this.files.size;
+  }
+
+  has(episodeId) {
+    return this.files.has(episodeId);
+  }
+
+  get(episodeId) {
+    const cached = this.cache.get(episodeId);
+    if (cached !== undefined) {
+      // Move to the most recently used end
+      this.cache.delete(episodeId);
+      this.cache.set(episodeId, cached);
+      this.hits++;
+      return cached;
+    }
+
+    const file = this.files.get(episodeId);
+    if (!file) {
+      return undefined;
+    }
+
+    this.misses++;
+    const text = file.read();
+    this.remember(episodeId, text, file.size);
+    return text;
+  }
+
+  header(episodeId) {
+    return this.files.get(episodeId)?.header || null;
+  }
+
+  /**
+   * Cache a transcript, evicting the least recently used ones to stay within budget
+   */
+  remember(episodeId, text, bytes) {
+    if (bytes > this.cacheBytes) {
+      return;
+    }
+
+    for (const [cachedId] of this.cache) {
+      if (this.cachedBytes + bytes <= this.cacheBytes) break;
+      this.cache.delete(cachedId);
+      this.cachedBytes -= this.files.get(cachedId).size;
+    }
+
+    this.cache.set(episodeId, text);
+    this.cachedBytes += bytes;
+  }
+
+  keys() {
+    return this.files.keys();
+  }
+
+  /**
+   * Read every transcript in turn without filling the cache (used to build the index)
+   */
+  *[Symbol.iterator]() {
+    for (const [episodeId, file] of this.files) {
+      yield [episodeId, this.cache.get(episodeId) ?? file.read()];
+    }
+  }
+
+  stats() {
+    return {
+      mode: 'lazy',
+      transcripts: this.files.size,
+      cachedTranscripts: this.cache.size,
+      cachedBytes: this.cachedBytes,
+      cacheBytes: this.cacheBytes,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * Validate the HPR knowledge base: checks the episode, host, comment and series
+ * records for missing or mistyped fields, duplicate ids and dangling references,
+ * and the transcripts for ones without an episode or header. Reads the storage
+ * backend chosen by HPR_STORAGE (hpr_metadata/ and hpr_transcripts/ by default).
+ *
+ * Usage: npm run validate [-- --json]
+ * Exits with status 1 if there are any errors.
+ */
+
+import HPRDataLoader from './data-loader.js';
+import { validateKnowledgeBase, formatFinding } from './validation.js';
+
+// Only file locations are needed for transcripts, and no search index
+const dataLoader = new HPRDataLoader({ transcriptStorage: 'lazy' });
+dataLoader.loadMetadata();
+dataLoader.loadTranscripts({ buildIndex: false });
+
+const report = validateKnowledgeBase(dataLoader);
+
+if (process.argv.includes('--json')) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  const { counts } = report;
+  console.log(`Checked ${counts.episodes} episodes, ${counts.hosts} hosts, ${counts.comments} comments, ${counts.series} series and ${counts.transcripts} transcripts\n`);
+  report.findings.forEach(finding => console.log(formatFinding(finding)));
+  console.log(`\n${report.valid ? '✅' : '❌'} ${report.errors} errors, ${report.warnings} warnings`);
+}
+
+process.exit(report.valid ? 0 : 1);
@@ -0,0 +1,173 @@
+/**
+ * Schema and integrity checks for the knowledge base, shared by `npm run validate`,
+ * the hpr://diagnostics resource and strict startup (HPR_STRICT=true).
+ */
+
+// Required fields and their types in each collection of records
+export const SCHEMAS = {
+  episodes: {
+    label: 'Episode',
+    idField: 'id',
+    required: true,
+    fields: {
+      id: 'integer', date: 'date', title: 'string', hostid: 'integer', series: 'integer',
+      summary: 'string', notes: 'string', tags: 'string', duration: 'integer', license: 'string',
+    },
+  },
+  hosts: {
+    label: 'Host',
+    idField: 'hostid',
+    required: true,
+    fields: {
+      hostid: 'integer', host: 'string', email: 'string', profile: 'string', license: 'string', valid: 'integer',
+    },
+  },
+  comments: {
+    label: 'Comment',
+    idField: 'id',
+    required: false,
+    fields: {
+      id: 'integer', eps_id: 'integer', comment_timestamp: 'string', comment_author_name: 'string',
+      comment_title: 'string', comment_text: 'string',
+    },
+  },
+  series: {
+    label: 'Series',
+    idField: 'id',
+    required: false,
+    fields: {
+      id: 'integer', name: 'string', description: 'string', private: 'integer', valid: 'integer',
+    },
+  },
+};
+
+const TYPE_CHECKS = {
+  integer: Number.isInteger,
+  string: (value) => typeof value === 'string',
+  date: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value),
+};
+
+/**
+ * Whether a record is an object, as every record must be to have fields
+ */
+export function isRecord(record) {
+  return record !== null && typeof record === 'object' && !Array.isArray(record);
+}
+
+const TYPE_NAMES = {
+  integer: 'an integer',
+  string: 'a string',
+  date: 'a YYYY-MM-DD date',
+};
+
+/**
+ * Check a loaded HPRDataLoader: files that failed to load, missing or mistyped
+ * fields, duplicate ids, references to missing hosts, series and episodes, and
+ * transcripts without an episode or header.
+ * Returns { valid, errors, warnings, counts, findings } where each finding is
+ * { severity: 'error' | 'warning', file, message }.
+ */
+export function validateKnowledgeBase(loader) {
+  const findings = [];
+  const report = (severity, file, message) => findings.push({ severity, file, message });
+  const failedFiles = new Set(loader.loadErrors.map(error => error.file));
+
+  for (const { file, message } of loader.loadErrors) {
+    report('error', file, `Failed to load: ${message}`);
+  }
+
+  for (const [collection, schema] of Object.entries(SCHEMAS)) {
+    const records = loader[collection];
+    const file = loader.storage.source(collection);
+    // Records the loader left out, by their position in the file
+    const skipped = (loader.skippedRecords || []).filter(record => record.collection === collection);
+
+    if (records.length === 0 && skipped.length === 0 && !failedFiles.has(file)) {
+      report(schema.required ? 'error' : 'warning', file, 'Contains no records');
+    }
+    for (const { index } of skipped) {
+      report('error', file, `Record ${index + 1} is not an object`);
+    }
+
+    const idCounts = new Map();
+    records.forEach((record, index) => {
+      if (!isRecord(record)) {
+        report('error', file, `Record ${index + 1} is not an object`);
+        return;
+      }
+      const id = record[schema.idField];
+      const label = Number.isInteger(id) ? `${schema.label} ${id}` : `Record ${index + 1}`;
+
+      for (const [field, type] of Object.entries(schema.fields)) {
+        if (record[field] === undefined || record[field] === null) {
+          report('error', file, `${label} is missing "${field}"`);
+        } else if (!TYPE_CHECKS[type](record[field])) {
+          report('error', file, `${label} has "${field}" ${JSON.stringify(record[field]).slice(0, 40)}, expected ${TYPE_NAMES[type]}`);
+        }
+      }
+
+      if (Number.isInteger(id)) {
+        idCounts.set(id, (idCounts.get(id) || 0) + 1);
+      }
+    });
+
+    for (const [id, count] of idCounts) {
+      if (count > 1) {
+        report('error', file, `${schema.label} id ${id} is used by ${count} records`);
+      }
+    }
+  }
+
+  // Dangling references
+  const episodesFile = loader.storage.source('episodes');
+  for (const ep of loader.episodes) {
+    if (Number.isInteger(ep?.hostid) && !loader.hostsById.has(ep.hostid)) {
+      report('warning', episodesFile, `Episode ${ep.id} refers to missing host ${ep.hostid}`);
+    }
+    if (Number.isInteger(ep?.series) && !loader.seriesById.has(ep.series)) {
+      report('warning', episodesFile, `Episode ${ep.id} refers to missing series ${ep.series}`);
+    }
+  }
+
+  for (const comment of loader.comments) {
+    if (Number.isInteger(comment?.eps_id) && !loader.episodesById.has(comment.eps_id)) {
+      report('warning', loader.storage.source('comments'), `Comment ${comment.id} refers to missing episode ${comment.eps_id}`);
+    }
+  }
+
+  for (const episodeId of loader.transcripts.keys()) {
+    const file = loader.storage.transcriptSource(episodeId);
+    const header = loader.transcripts.header(episodeId);
+    if (!loader.episodesById.has(episodeId)) {
+      report('warning', file, `Transcript for episode ${episodeId}, which is not among the episodes`);
+    }
+    if (!header) {
+      report('warning', file, 'Has no "Episode:/Title:/Source:/Transcribed:" header');
+    } else if (header.episode !== episodeId) {
+      report('warning', file, `Header says it is episode ${header.episode}`);
+    }
+  }
+
+  const errors = findings.filter(finding => finding.severity === 'error').length;
+
+  return {
+    valid: errors === 0,
+    errors,
+    warnings: findings.length - errors,
+    counts: {
+      episodes: loader.episodes.length,
+      hosts: loader.hosts.length,
+      comments: loader.comments.length,
+      series: loader.series.length,
+      transcripts: loader.transcripts.size,
+    },
+    findings,
+  };
+}
+
+/**
+ * One-line description of a finding, e.g. "[ERROR] hpr_metadata/hosts.json: Host 3 is missing "email""
+ */
+export function formatFinding(finding) {
+  return `[${finding.severity.toUpperCase()}] ${finding.file}: ${finding.message}`;
+}